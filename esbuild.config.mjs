@@ -33,6 +33,7 @@ const context = await esbuild.context({
     "@lezer/lr",
     ...builtins.filter(x => x !== 'buffer')],
   format: "cjs",
+  platform: "node", // Resolve node builds of ws/express (Obsidian desktop runs on Electron)
   target: "es2018",
   logLevel: "info",
   sourcemap: prod ? false : "inline",
@@ -0,0 +1,64 @@
+// Path-scoped guest permissions (no Obsidian APIs)
+
+/**
+ * Convert a vault path glob to a RegExp
+ * `**` spans folders, `*` and `?` stay within one path segment; `dir/**` also matches `dir` itself
+ */
+function globToRegExp(glob) {
+  const clean = glob.trim().replace(/^\/+/, '');
+  const dirGlob = clean.endsWith('/**');
+  const body = dirGlob ? clean.slice(0, -3) : clean;
+
+  let re = '';
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '*' && body[i + 1] === '*') {
+      if (body[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i++;
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + re + (dirGlob ? '(?:/.*)?' : '') + '$');
+}
+
+/**
+ * Path-scoped permissions for one guest, built from a guestAccessRules entry
+ * Empty allow lists mean "everything"; deny always wins; write implies read
+ */
+class AccessPolicy {
+  constructor(rule, readOnly) {
+    const compile = (globs) => (globs || []).filter((g) => g && g.trim()).map(globToRegExp);
+    this.readAllow = compile(rule.readAllow);
+    this.readDeny = compile(rule.readDeny);
+    this.writeAllow = compile(rule.writeAllow);
+    this.writeDeny = compile(rule.writeDeny);
+    this.readOnly = readOnly;
+  }
+
+  static matches(path, patterns) {
+    return patterns.some((re) => re.test(path));
+  }
+
+  canRead(path) {
+    if (AccessPolicy.matches(path, this.readDeny)) return false;
+    return !this.readAllow.length || AccessPolicy.matches(path, this.readAllow);
+  }
+
+  canWrite(path) {
+    if (this.readOnly || !this.canRead(path)) return false;
+    if (AccessPolicy.matches(path, this.writeDeny)) return false;
+    return !this.writeAllow.length || AccessPolicy.matches(path, this.writeAllow);
+  }
+}
+
+module.exports = { globToRegExp, AccessPolicy };
@@ -0,0 +1,71 @@
+// Host-side authority for collaborative editing sessions (no Obsidian APIs)
+
+const { ChangeSet, Text } = require('@codemirror/state'); // Provided by Obsidian at runtime
+
+/**
+ * Collaborative editing session for one note (CodeMirror collab authority)
+ * Peers push ChangeSets against a version; the host accepts them only in order,
+ * so every participant converges on the same document
+ */
+class CollabSession {
+  constructor(path, content) {
+    this.path = path;
+    this.doc = Text.of(content.split('\n'));
+    this.updates = []; // { clientID, changes: ChangeSet }
+    this.participants = new Map(); // peer session -> { clientID, user, selection }
+    this.lastPersisted = content;
+  }
+
+  get version() {
+    return this.updates.length;
+  }
+
+  /**
+   * Apply serialized updates pushed at `version`
+   * Returns false if the peer is behind (it must pull first); throws on malformed changes
+   */
+  push(version, updates) {
+    if (version !== this.version) return false;
+
+    // Validate everything before committing so a bad update leaves the session untouched
+    let doc = this.doc;
+    const accepted = updates.map((u) => {
+      const changes = ChangeSet.fromJSON(u.changes);
+      doc = changes.apply(doc);
+      return { clientID: String(u.clientID), changes };
+    });
+
+    this.doc = doc;
+    this.updates.push(...accepted);
+    return true;
+  }
+
+  pull(version) {
+    return this.updates.slice(version).map((u) => ({ clientID: u.clientID, changes: u.changes.toJSON() }));
+  }
+
+  /**
+   * Fold an outside edit (desktop editor, SAVE_FILE) into the session as a host update
+   * Returns the serialized update, or null if the content already matches
+   */
+  replaceContent(content, clientID = 'host') {
+    const current = this.doc.toString();
+    if (current === content) return null;
+
+    let from = 0;
+    while (from < current.length && from < content.length && current[from] === content[from]) from++;
+    let endOld = current.length;
+    let endNew = content.length;
+    while (endOld > from && endNew > from && current[endOld - 1] === content[endNew - 1]) {
+      endOld--;
+      endNew--;
+    }
+
+    const changes = ChangeSet.of({ from, to: endOld, insert: content.slice(from, endNew) }, current.length);
+    this.doc = changes.apply(this.doc);
+    this.updates.push({ clientID, changes });
+    return { clientID, changes: changes.toJSON() };
+  }
+}
+
+module.exports = { CollabSession };
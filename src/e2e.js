@@ -0,0 +1,88 @@
+// App-layer end-to-end encryption: key derivation, SDP fingerprint MACs and the per-connection cipher (no Obsidian APIs)
+
+const { Buffer } = require('buffer');
+const { createHmac, createCipheriv, createDecipheriv, hkdfSync, pbkdf2, randomBytes, timingSafeEqual } = require('crypto');
+const { toUint8Array } = require('./frames');
+
+const E2E_KDF_ITERATIONS = 310000; // PBKDF2-SHA256 rounds for passphrase-derived keys
+const E2E_ENVELOPE_MARKER = 0x01; // First byte of an encrypted message (JSON starts with '{', binary frames with 0)
+const E2E_IV_BYTES = 12;
+const E2E_TAG_BYTES = 16;
+
+// Passphrase -> 32-byte key; salted with the vault ID so browsers can derive the same key
+// Async: 310k PBKDF2 rounds would otherwise freeze Obsidian's UI
+function deriveE2EKey(passphrase, vaultId) {
+  return new Promise((resolve, reject) => {
+    pbkdf2(passphrase.normalize('NFKC'), `noterelay-e2e:${vaultId}`, E2E_KDF_ITERATIONS, 32, 'sha256', (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+// DTLS certificate fingerprints announced in an SDP blob, normalized so both sides agree
+function sdpFingerprints(sdp) {
+  if (typeof sdp !== 'string') return '';
+  const lines = sdp.split(/\r?\n/).filter((line) => line.startsWith('a=fingerprint:'));
+  return [...new Set(lines.map((line) => line.slice('a=fingerprint:'.length).trim().toLowerCase()))].sort().join(',');
+}
+
+// HMAC-SHA256 over labelled parts (hex); authenticates SDP fingerprints across the signaling server
+function e2eMac(key, label, ...parts) {
+  return createHmac('sha256', key).update([label, ...parts].join('|')).digest('hex');
+}
+
+function verifyE2EMac(key, mac, label, ...parts) {
+  if (typeof mac !== 'string') return false;
+  const expected = Buffer.from(e2eMac(key, label, ...parts), 'hex');
+  const actual = Buffer.from(mac, 'hex');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * AES-256-GCM for one peer connection
+ * Per-direction keys are derived from the shared key and both DTLS fingerprints, so a session
+ * key never outlives its connection. Envelope: [0x01][12-byte IV][ciphertext][16-byte tag],
+ * with the per-direction message counter as associated data to reject replays and reordering.
+ */
+function createE2ECipher(key, offerFingerprints, answerFingerprints) {
+  const salt = `${offerFingerprints}|${answerFingerprints}`;
+  const sendKey = Buffer.from(hkdfSync('sha256', key, salt, 'noterelay-e2e host->client', 32));
+  const recvKey = Buffer.from(hkdfSync('sha256', key, salt, 'noterelay-e2e client->host', 32));
+  let sendSeq = 0;
+  let recvSeq = 0;
+
+  const counter = (seq) => {
+    const aad = Buffer.alloc(8);
+    aad.writeBigUInt64BE(BigInt(seq));
+    return aad;
+  };
+
+  return {
+    seal(data) {
+      const iv = randomBytes(E2E_IV_BYTES);
+      const cipher = createCipheriv('aes-256-gcm', sendKey, iv);
+      cipher.setAAD(counter(sendSeq++));
+      const plain = typeof data === 'string' ? Buffer.from(data, 'utf8') : Buffer.from(toUint8Array(data));
+      return Buffer.concat([Buffer.from([E2E_ENVELOPE_MARKER]), iv, cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+    },
+    // Returns the plaintext Buffer, or null if the message is not authentic
+    open(data) {
+      const bytes = Buffer.from(toUint8Array(data));
+      if (bytes.length < 1 + E2E_IV_BYTES + E2E_TAG_BYTES || bytes[0] !== E2E_ENVELOPE_MARKER) return null;
+      try {
+        const iv = bytes.subarray(1, 1 + E2E_IV_BYTES);
+        const decipher = createDecipheriv('aes-256-gcm', recvKey, iv);
+        decipher.setAAD(counter(recvSeq));
+        decipher.setAuthTag(bytes.subarray(bytes.length - E2E_TAG_BYTES));
+        const plain = Buffer.concat([decipher.update(bytes.subarray(1 + E2E_IV_BYTES, bytes.length - E2E_TAG_BYTES)), decipher.final()]);
+        recvSeq++;
+        return plain;
+      } catch (e) {
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { deriveE2EKey, sdpFingerprints, e2eMac, verifyE2EMac, createE2ECipher };
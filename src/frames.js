@@ -0,0 +1,36 @@
+// Binary data-channel payloads and frames (no Obsidian APIs)
+
+const FRAME_HEADER_PREFIX = 4; // uint32 (big-endian) length of the JSON header in a binary frame
+
+// View any binary payload (ArrayBuffer, Buffer, typed array) as a Uint8Array without copying
+function toUint8Array(data) {
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function isBinaryPayload(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+/**
+ * Binary data-channel frame: [uint32 header length][UTF-8 JSON header][raw payload bytes]
+ * Negotiated via the binaryFramesV1 capability; replaces base64-in-JSON PART chunks
+ */
+function encodeBinaryFrame(header, payload) {
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+  const frame = new Uint8Array(FRAME_HEADER_PREFIX + headerBytes.length + payload.length);
+  new DataView(frame.buffer).setUint32(0, headerBytes.length);
+  frame.set(headerBytes, FRAME_HEADER_PREFIX);
+  frame.set(payload, FRAME_HEADER_PREFIX + headerBytes.length);
+  return frame;
+}
+
+// Inverse of encodeBinaryFrame: returns { header, payload }
+function decodeBinaryFrame(frame) {
+  const headerLength = new DataView(frame.buffer, frame.byteOffset, frame.byteLength).getUint32(0);
+  const headerEnd = FRAME_HEADER_PREFIX + headerLength;
+  const header = JSON.parse(new TextDecoder().decode(frame.subarray(FRAME_HEADER_PREFIX, headerEnd)));
+  return { header, payload: frame.subarray(headerEnd) };
+}
+
+module.exports = { FRAME_HEADER_PREFIX, toUint8Array, isBinaryPayload, encodeBinaryFrame, decodeBinaryFrame };
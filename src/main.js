@@ -5,9 +5,26 @@ if (typeof window !== 'undefined') {
 const obsidian = require('obsidian');
 const { createClient } = require('@supabase/supabase-js');
 const SimplePeer = require('simple-peer');
-const { readFileSync } = require('fs');
+const express = require('express');
+const cors = require('cors');
+const { WebSocket, WebSocketServer } = require('ws');
+const http = require('http');
+const EventEmitter = require('events');
+const { readFileSync, createReadStream, promises: fsPromises } = require('fs');
 const { join } = require('path');
 const os = require('os');
+const { createHash, randomBytes, timingSafeEqual } = require('crypto');
+const { tokenizeText, parseSearchQuery, findTermRanges, buildSnippet } = require('./search');
+const { mergeThreeWay } = require('./merge');
+const { applyTextEdits, applyUnifiedDiff } = require('./patch');
+const { CollabSession } = require('./collab');
+const { FRAME_HEADER_PREFIX, toUint8Array, isBinaryPayload, encodeBinaryFrame, decodeBinaryFrame } = require('./frames');
+const { resolveByteRange } = require('./ranges');
+const { globToRegExp, AccessPolicy } = require('./access');
+const { HIDDEN_QUERY_NOTICE, redactMarkdown } = require('./redact');
+const { TokenBucket } = require('./rate-limit');
+const { deriveE2EKey, sdpFingerprints, e2eMac, verifyE2EMac, createE2ECipher } = require('./e2e');
+const { verifyES256Jwt } = require('./owner-token');
 
 // Suppress Supabase "Multiple GoTrueClient instances" warning (benign, expected in plugin)
 const originalConsoleLog = console.log;
@@ -26,9 +43,68 @@ console.warn = (...args) => {
 // Supabase credentials loaded dynamically from API (no hardcoded keys)
 let SUPABASE_URL = null;
 let SUPABASE_KEY = null;
-const API_BASE_URL = 'https://noterelay.io';
+const API_BASE_URL = 'https://noterelay.io'; // Default; see apiBaseUrl / apiRouteOverrides settings
+// Cloud endpoints by route name, relative to the API base URL (each can be overridden in settings)
+const API_ROUTES = {
+  pluginInit: '/api/plugin-init',
+  register: '/api/vaults?route=register',
+  heartbeat: '/api/vaults?route=heartbeat',
+  validateToken: '/api/plugin-token?route=validate',
+  turnCredentials: '/api/turn-credentials',
+  pluginAuth: '/plugin-auth', // Browser login page
+  dashboard: '/dashboard' // Browser dashboard link
+};
 const BUILD_VERSION = '2024.12.16-1421';
 const CHUNK_SIZE = 16 * 1024;
+const SEARCH_MAX_RESULTS = 50; // Hard cap on hits returned per SEARCH
+const SEARCH_MAX_MATCHES_PER_FILE = 5; // Snippets returned per hit
+const SEARCH_INDEX_FILE = 'search-index.json'; // Stored in the plugin folder
+const SEARCH_INDEX_VERSION = 1;
+const SEARCH_INDEX_SAVE_DELAY = 5000; // Debounce index writes after vault edits
+const VERSION_CACHE_SIZE = 200; // Served note versions kept as merge bases for conflicts
+const COLLAB_PERSIST_DELAY = 1000; // Debounce vault writes from collaborative sessions
+const UPLOAD_TIMEOUT = 10 * 60 * 1000; // Unfinished uploads are discarded after 10 minutes idle
+const UPLOAD_SWEEP_INTERVAL = 60 * 1000; // How often idle uploads are looked for
+const UPLOAD_MAX_ACTIVE_PER_PEER = 3; // Unfinished uploads one peer may hold open
+const UPLOAD_MAX_BUFFERED_BYTES = 200 * 1024 * 1024; // Declared size of all unfinished uploads (buffered in memory until commit)
+const PRIVATE_FRONTMATTER_KEY = 'noterelay'; // `noterelay: private` hides a note from remote peers
+// Token buckets per peer and command class: burst capacity + refill per second
+const RATE_LIMITS = {
+  render: { capacity: 10, refillPerSec: 1 },   // GET_RENDERED_FILE, OPEN_FILE, OPEN_DAILY_NOTE
+  read: { capacity: 30, refillPerSec: 5 },     // GET_FILE, GET_FILE_RANGE, GET_TREE, SEARCH
+  write: { capacity: 20, refillPerSec: 2 },    // Saves, creates, renames, deletes, upload begin/commit
+  stream: { capacity: 200, refillPerSec: 50 }, // UPLOAD_CHUNK and COLLAB_* traffic
+  auth: { capacity: 5, refillPerSec: 0.2 },    // PING, HANDSHAKE (identity checks and approval prompts)
+  other: { capacity: 30, refillPerSec: 5 }
+};
+const RATE_LIMIT_CLASSES = {
+  GET_RENDERED_FILE: 'render', OPEN_FILE: 'render', OPEN_DAILY_NOTE: 'render',
+  GET_FILE: 'read', GET_FILE_RANGE: 'read', GET_TREE: 'read', SEARCH: 'read',
+  SAVE_FILE: 'write', PATCH_FILE: 'write', CREATE_FILE: 'write', CREATE_FOLDER: 'write',
+  RENAME_FILE: 'write', DELETE_FILE: 'write', UPLOAD_BEGIN: 'write', UPLOAD_COMMIT: 'write',
+  UPLOAD_CHUNK: 'stream', COLLAB_JOIN: 'stream', COLLAB_PUSH: 'stream', COLLAB_PULL: 'stream',
+  COLLAB_PRESENCE: 'stream', COLLAB_LEAVE: 'stream',
+  PING: 'auth', HANDSHAKE: 'auth'
+};
+const MAX_IN_FLIGHT = 4; // Concurrent commands per peer (excluding stream traffic)
+const OWNER_TOKEN_MAX_AGE = 5 * 60 * 1000; // Owner tokens older than this are refused even if not yet expired
+const OWNER_TOKEN_CLOCK_SKEW = 30 * 1000; // Tolerated difference between server and host clocks
+const LAN_PAIRING_TTL = 5 * 60 * 1000; // A pairing code is valid for 5 minutes, once
+const LAN_PAIRING_MAX_ATTEMPTS = 5; // Wrong guesses before the code is discarded
+const LAN_MAX_MESSAGE_BYTES = 16 * 1024 * 1024; // Largest single WebSocket message accepted
+const LAN_DRAIN_POLL_INTERVAL = 20; // ws has no bufferedamountlow event, so waiting senders poll
+const RESUME_GRACE_PERIOD = 2 * 60 * 1000; // A dropped peer can resume with its token for this long
+const ICE_RESTART_COOLDOWN = 10 * 1000; // Minimum gap between ICE restart requests to one peer
+const EARLY_CANDIDATE_TTL = 30 * 1000; // Remote ICE candidates that beat their offer are held this long
+const SIGNALING_RECONNECT_MIN = 1000; // WebSocket signaling reconnect backoff (doubles up to the max)
+const SIGNALING_RECONNECT_MAX = 30 * 1000;
+const GUEST_APPROVAL_TIMEOUT = 60 * 1000; // Unanswered approval prompts deny the guest
+const SESSION_CHECK_INTERVAL = 15 * 1000; // How often idle/lifetime limits are checked
+const SESSION_EXPIRY_WARNING = 60 * 1000; // Peers get a SESSION_EXPIRING notice this long before being dropped
+const AUDIT_LOG_FILE = 'audit.jsonl'; // Stored in the plugin folder; rotated to audit.1.jsonl, audit.2.jsonl, ...
+const AUDIT_LOG_MAX_BYTES = 1024 * 1024; // Rotate once the active file reaches this size
+const AUDIT_LOG_MAX_FILES = 5; // Rotated files kept besides the active one
+const AUDIT_SKIP_COMMANDS = ['COLLAB_PRESENCE', 'UPLOAD_CHUNK']; // High-frequency; covered by JOIN/BEGIN/COMMIT entries
 const DEFAULT_SETTINGS = {
   enableRemoteAccess: false,
   // IDENTITY-BASED REMOTE ACCESS (OTP Model v8.0)
@@ -36,6 +112,44 @@ const DEFAULT_SETTINGS = {
   emailValidated: false, // Whether email has been verified via OAuth
   vaultId: '', // Unique vault identifier (auto-generated)
   themeHash: '', // SHA-256 hash of last uploaded theme CSS (bandwidth optimization)
+  // DATA CHANNEL BACKPRESSURE (bytes queued in RTCDataChannel.bufferedAmount)
+  sendHighWatermark: 1024 * 1024, // Pause sending above this
+  sendLowWatermark: 256 * 1024, // Resume once drained below this
+  // BROWSER UPLOADS
+  uploadMaxBytes: 50 * 1024 * 1024, // Largest file a peer may upload
+  uploadAllowedExtensions: 'png,jpg,jpeg,gif,svg,webp,bmp,pdf,mp3,wav,m4a,ogg,mp4,webm,mov,zip,txt,csv,md', // Comma-separated allowlist
+  // GUEST ACCESS RULES (path-scoped ACL; guests without a rule see the whole vault)
+  guestAccessRules: [], // [{ email, readAllow: [], readDeny: [], writeAllow: [], writeDeny: [] }] of globs
+  requireGuestApproval: false, // Ask the host before admitting a verified guest
+  approvedGuests: [], // Guest emails remembered via "Always allow"
+  // PRIVATE NOTES (invisible to remote peers)
+  privatePaths: [], // Globs of notes/folders never exposed remotely
+  privateAppliesToOwner: false, // Also hide them from the owner's own remote sessions
+  // RATE LIMITING
+  guestDailyByteBudgetMB: 1024, // Data a guest may download per day (0 = unlimited)
+  // SESSION LIMITS (0 = no limit)
+  ownerIdleTimeoutMinutes: 60, // Drop owner sessions with no commands for this long
+  ownerMaxSessionHours: 24, // Absolute owner session lifetime
+  guestIdleTimeoutMinutes: 30,
+  guestMaxSessionHours: 8,
+  // OWNER VERIFICATION
+  ownerTokenKey: null, // Server's owner-token public key (JWK), pinned at first registration
+  // API ENDPOINTS (for self-hosted or staging deployments)
+  apiBaseUrl: '', // Empty = https://noterelay.io
+  apiRouteOverrides: {}, // { routeName: absolute URL or path relative to apiBaseUrl }
+  // SIGNALING
+  signalingTransport: 'supabase', // 'supabase' (noterelay.io) or 'websocket' (self-hosted)
+  signalingUrl: '', // wss:// URL of a self-hosted signaling server
+  // LAN DIRECT MODE (local HTTP/WebSocket server, no cloud signaling)
+  lanEnabled: false,
+  lanBindAddress: '127.0.0.1', // Interface to listen on (this computer only until the user picks a LAN address or 0.0.0.0)
+  lanPort: 8787,
+  lanDevices: [], // [{ id, name, tokenHash, readOnly, pairedAt }] paired with a pairing code
+  lanAllowedOrigins: '', // Comma-separated web origins allowed to call the LAN server (empty = none)
+  // END-TO-END ENCRYPTION (on top of DTLS)
+  e2eKey: '', // Base64 32-byte key, derived from a passphrase or imported (empty = off)
+  // AUDIT LOG (local only, never uploaded)
+  auditLogEnabled: true,
   // DEPRECATED: masterPasswordHash removed - now using Supabase MFA
 };
 
@@ -45,6 +159,11 @@ async function hashString(str) {
   return Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, '0')).join('');
 }
 
+// Synchronous content version hash (safe to use inside vault.process callbacks)
+function hashContent(str) {
+  return createHash('sha256').update(str, 'utf8').digest('hex');
+}
+
 /**
  * OTP Modal for TOTP verification
  * Used during vault registration to verify user identity via Supabase MFA
@@ -116,6 +235,525 @@ class OTPModal extends obsidian.Modal {
   }
 }
 
+/**
+ * Data-channel stand-in for a LAN WebSocket: readyState, bufferedAmount and the
+ * bufferedamountlow/close events that waitForDrain relies on
+ */
+class LanChannel extends EventTarget {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.bufferedAmountLowThreshold = 0;
+    this.drainTimer = null;
+    socket.on('close', () => this.dispatchEvent(new Event('close')));
+  }
+
+  get readyState() {
+    return this.socket.readyState === this.socket.OPEN ? 'open' : 'closed';
+  }
+
+  get bufferedAmount() {
+    return this.socket.bufferedAmount;
+  }
+
+  addEventListener(type, listener) {
+    super.addEventListener(type, listener);
+    if (type === 'bufferedamountlow' && !this.drainTimer) {
+      this.drainTimer = setInterval(() => {
+        if (this.readyState === 'open' && this.bufferedAmount > this.bufferedAmountLowThreshold) return;
+        clearInterval(this.drainTimer);
+        this.drainTimer = null;
+        this.dispatchEvent(new Event('bufferedamountlow'));
+      }, LAN_DRAIN_POLL_INTERVAL);
+    }
+  }
+}
+
+/**
+ * Wraps a LAN WebSocket in the subset of the SimplePeer API used by attachPeer,
+ * so LAN devices share the WebRTC command loop, framing and backpressure
+ */
+class LanPeer extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this._channel = new LanChannel(socket);
+    socket.on('message', (data) => this.emit('data', data));
+    socket.on('close', () => this.emit('close'));
+    socket.on('error', (err) => this.emit('error', err));
+  }
+
+  send(data) {
+    this.socket.send(data); // Strings go out as text messages, bytes as binary messages
+  }
+
+  destroy() {
+    this.socket.terminate();
+  }
+}
+
+// ============================================
+// SIGNALING TRANSPORTS
+// ============================================
+// A transport delivers signals addressed to this host and sends signals back to browsers:
+//   subscribe(hostId, onSignal)         onSignal({ source, type, payload }) for each incoming signal
+//   sendSignal(target, type, payload)   resolves once handed to the backend
+//   close()
+//   state                               backend connection state (informational)
+
+// Default: rows in the Supabase `signaling` table, delivered through realtime
+class SupabaseSignalingTransport {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.channel = null;
+  }
+
+  get state() {
+    return this.channel ? this.channel.state : 'closed';
+  }
+
+  subscribe(hostId, onSignal) {
+    this.channel = this.supabase.channel('host-channel')
+      .on(
+        'postgres_changes',
+        { event: 'INSERT', schema: 'public', table: 'signaling', filter: `target=eq.${hostId}` },
+        (payload) => onSignal({ source: payload.new.source, type: payload.new.type, payload: payload.new.payload })
+      )
+      .subscribe();
+  }
+
+  async sendSignal(target, type, payload) {
+    await this.supabase.from('signaling').insert({ source: 'host', target, type, payload });
+  }
+
+  close() {
+    if (this.channel) {
+      this.channel.unsubscribe();
+      this.channel = null;
+    }
+  }
+}
+
+/**
+ * Self-hosted signaling over a plain WebSocket, one JSON object per message:
+ *   host -> server  { type: 'register', hostId }                 sent on every (re)connect
+ *   server -> host  { type, source, target, payload }            e.g. type 'offer'
+ *   host -> server  { type, source: hostId, target, payload }    e.g. type 'answer'
+ * Reconnects with exponential backoff until closed
+ */
+class WebSocketSignalingTransport {
+  constructor(url) {
+    this.url = url;
+    this.socket = null;
+    this.hostId = null;
+    this.onSignal = null;
+    this.closed = false;
+    this.retryDelay = SIGNALING_RECONNECT_MIN;
+    this.retryTimer = null;
+    this.failureNotified = false; // One notice per outage, not per retry
+  }
+
+  // `ws` in the bundled build; Electron's built-in WebSocket otherwise (both speak the DOM-style API used here)
+  static get Socket() {
+    return WebSocket || globalThis.WebSocket;
+  }
+
+  get state() {
+    return this.socket && this.socket.readyState === WebSocketSignalingTransport.Socket.OPEN ? 'joined' : 'closed';
+  }
+
+  subscribe(hostId, onSignal) {
+    this.hostId = hostId;
+    this.onSignal = onSignal;
+    this.open();
+  }
+
+  open() {
+    let socket;
+    try {
+      socket = new WebSocketSignalingTransport.Socket(this.url);
+    } catch (err) {
+      // Malformed URL or no WebSocket implementation: retrying cannot help
+      console.error('Note Relay: Cannot open signaling socket:', err);
+      new obsidian.Notice(`Note Relay: Invalid signaling server URL (${err.message})`);
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.retryDelay = SIGNALING_RECONNECT_MIN;
+      this.failureNotified = false;
+      socket.send(JSON.stringify({ type: 'register', hostId: this.hostId }));
+    };
+
+    socket.onmessage = (event) => {
+      let signal;
+      try {
+        signal = JSON.parse(event.data.toString());
+      } catch (e) {
+        console.warn('Note Relay: Ignoring malformed signaling message');
+        return;
+      }
+      if (signal.target && signal.target !== this.hostId) return;
+      if (signal.type && signal.source) this.onSignal({ source: signal.source, type: signal.type, payload: signal.payload });
+    };
+
+    socket.onerror = (event) => {
+      console.error('Note Relay: Signaling socket error:', event.message || event);
+      if (!this.failureNotified && !this.closed) {
+        this.failureNotified = true;
+        new obsidian.Notice(`Note Relay: Cannot reach signaling server ${this.url}. Retrying in the background.`);
+      }
+    };
+
+    socket.onclose = () => {
+      if (this.closed) return;
+      this.retryTimer = setTimeout(() => this.open(), this.retryDelay);
+      this.retryDelay = Math.min(this.retryDelay * 2, SIGNALING_RECONNECT_MAX);
+    };
+  }
+
+  async sendSignal(target, type, payload) {
+    if (this.state !== 'joined') throw new Error('Signaling server not connected');
+    this.socket.send(JSON.stringify({ type, source: this.hostId, target, payload }));
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    if (this.socket) this.socket.close();
+    this.socket = null;
+  }
+}
+
+/**
+ * Guest approval prompt ("ask me first" mode)
+ * Resolves with 'once', 'always' or null (denied / dismissed / timed out)
+ */
+class GuestApprovalModal extends obsidian.Modal {
+  constructor(app, request, onSubmit) {
+    super(app);
+    this.request = request; // { email, permission, device }
+    this.onSubmit = onSubmit;
+    this.result = null;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+
+    contentEl.createEl('h2', { text: '🛂 Guest Wants to Connect' });
+    contentEl.createEl('p', { text: this.request.email }).style.fontWeight = 'bold';
+    contentEl.createEl('p', {
+      text: `Permission: ${this.request.permission === 'read-only' ? 'Read-only' : 'Read & write'}`,
+      cls: 'setting-item-description'
+    });
+    if (this.request.device) {
+      contentEl.createEl('p', { text: `Device: ${this.request.device}`, cls: 'setting-item-description' });
+    }
+
+    const countdownEl = contentEl.createEl('p', { cls: 'setting-item-description' });
+    const deadline = Date.now() + GUEST_APPROVAL_TIMEOUT;
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      countdownEl.setText(`Denied automatically in ${remaining}s`);
+      if (remaining === 0) this.close();
+    };
+    tick();
+    this.timer = window.setInterval(tick, 1000);
+
+    const btnContainer = contentEl.createDiv();
+    btnContainer.style.cssText = 'margin-top: 20px; display: flex; gap: 10px; justify-content: flex-end;';
+
+    const denyBtn = btnContainer.createEl('button', { text: 'Deny', cls: 'mod-warning' });
+    denyBtn.onclick = () => {
+      this.result = null;
+      this.close();
+    };
+
+    const onceBtn = btnContainer.createEl('button', { text: 'Allow once' });
+    onceBtn.onclick = () => {
+      this.result = 'once';
+      this.close();
+    };
+
+    const alwaysBtn = btnContainer.createEl('button', { text: 'Always allow this guest', cls: 'mod-cta' });
+    alwaysBtn.onclick = () => {
+      this.result = 'always';
+      this.close();
+    };
+  }
+
+  onClose() {
+    window.clearInterval(this.timer);
+    if (this.onSubmit) {
+      this.onSubmit(this.result);
+    }
+  }
+}
+
+/**
+ * Active Sessions modal
+ * Lists authenticated peers with live stats; lets the host kick or downgrade them
+ */
+class ActiveSessionsModal extends obsidian.Modal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+  }
+
+  onOpen() {
+    this.render();
+    // Refresh stats while open
+    this.refreshInterval = window.setInterval(() => this.render(), 2000);
+  }
+
+  onClose() {
+    window.clearInterval(this.refreshInterval);
+    this.contentEl.empty();
+  }
+
+  render() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h2', { text: '🔗 Active Sessions' });
+
+    const sessions = this.plugin.getActivePeerSessions();
+    if (!sessions.length) {
+      contentEl.createEl('p', { text: 'No browsers are connected.', cls: 'setting-item-description' });
+      return;
+    }
+
+    const formatBytes = (n) => n >= 1024 * 1024 ? `${(n / (1024 * 1024)).toFixed(1)} MB` : `${Math.round(n / 1024)} KB`;
+
+    sessions.forEach((session) => {
+      const minutes = Math.floor((Date.now() - session.connectedAt) / 60000);
+      const setting = new obsidian.Setting(contentEl)
+        .setName(`${session.sessionName || session.userIdentifier}${session.isOwner ? ' (owner)' : ''}`)
+        .setDesc([
+          session.sessionName ? session.userIdentifier : null,
+          session.readOnly ? 'Read-only' : 'Read & write',
+          `Connected ${minutes} min`,
+          `↑ ${formatBytes(session.bytesSent)} ↓ ${formatBytes(session.bytesReceived)}`,
+          session.lastCommand ? `Last: ${session.lastCommand}` : null
+        ].filter(Boolean).join(' · '));
+
+      if (!session.readOnly) {
+        setting.addButton(btn => btn
+          .setButtonText('Make read-only')
+          .onClick(() => {
+            this.plugin.setPeerReadOnly(session);
+            this.render();
+          }));
+      }
+
+      setting.addButton(btn => btn
+        .setButtonText('Disconnect')
+        .setWarning()
+        .onClick(() => {
+          this.plugin.disconnectPeer(session);
+          new obsidian.Notice(`Disconnected ${session.userIdentifier}`);
+        }));
+    });
+  }
+}
+
+/**
+ * Persistent inverted index over markdown notes
+ * Built lazily on first search, kept current from vault events,
+ * and saved to the plugin folder so restarts only reindex changed files
+ */
+class SearchIndex {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.app = plugin.app;
+    this.postings = new Map(); // token -> Set(path)
+    this.docs = new Map(); // path -> { mtime, tokens }
+    this.ready = false;
+    this.loading = null;
+    this.pending = new Map(); // path -> TFile to reindex, or null to drop; vault events seen before ready
+    this.requestSave = obsidian.debounce(() => this.save(), SEARCH_INDEX_SAVE_DELAY, true);
+  }
+
+  get indexPath() {
+    return obsidian.normalizePath(`${this.plugin.manifest.dir}/${SEARCH_INDEX_FILE}`);
+  }
+
+  // Load (or build) the index once; concurrent callers share the same promise
+  ensureReady() {
+    if (!this.loading) {
+      this.loading = this.load().catch((err) => {
+        console.error('Note Relay: Search index load failed', err);
+        this.loading = null;
+        throw err;
+      });
+    }
+    return this.loading;
+  }
+
+  async load() {
+    const adapter = this.app.vault.adapter;
+
+    if (await adapter.exists(this.indexPath)) {
+      try {
+        const stored = JSON.parse(await adapter.read(this.indexPath));
+        if (stored.version === SEARCH_INDEX_VERSION) {
+          const tokensByDoc = stored.docs.map(() => []);
+          for (const [token, docIds] of Object.entries(stored.postings)) {
+            docIds.forEach((id) => tokensByDoc[id].push(token));
+          }
+          stored.docs.forEach(([path, mtime], id) => {
+            this.addDoc(path, mtime, tokensByDoc[id]);
+          });
+        }
+      } catch (err) {
+        console.warn('Note Relay: Discarding unreadable search index', err);
+        this.postings.clear();
+        this.docs.clear();
+      }
+    }
+
+    // Reconcile with the vault: reindex changed files, drop vanished ones
+    const files = this.app.vault.getMarkdownFiles();
+    const livePaths = new Set(files.map((f) => f.path));
+    let changed = false;
+
+    for (const path of [...this.docs.keys()]) {
+      if (!livePaths.has(path)) {
+        this.removeDoc(path);
+        changed = true;
+      }
+    }
+
+    for (const file of files) {
+      if (this.docs.get(file.path)?.mtime !== file.stat.mtime) {
+        await this.indexFile(file);
+        changed = true;
+      }
+    }
+
+    // Apply vault events that arrived while loading (entries added meanwhile are visited too)
+    for (const [path, file] of this.pending) {
+      this.pending.delete(path);
+      if (file) await this.indexFile(file);
+      else this.removeDoc(path);
+      changed = true;
+    }
+
+    this.ready = true;
+    if (changed) await this.save();
+  }
+
+  async save() {
+    const ids = new Map();
+    const docs = [];
+    this.docs.forEach((doc, path) => {
+      ids.set(path, docs.length);
+      docs.push([path, doc.mtime]);
+    });
+
+    const postings = {};
+    this.postings.forEach((paths, token) => {
+      postings[token] = [...paths].map((p) => ids.get(p));
+    });
+
+    try {
+      await this.app.vault.adapter.write(this.indexPath, JSON.stringify({ version: SEARCH_INDEX_VERSION, docs, postings }));
+    } catch (err) {
+      console.error('Note Relay: Failed to save search index', err);
+    }
+  }
+
+  addDoc(path, mtime, tokens) {
+    this.docs.set(path, { mtime, tokens });
+    tokens.forEach((token) => {
+      if (!this.postings.has(token)) this.postings.set(token, new Set());
+      this.postings.get(token).add(path);
+    });
+  }
+
+  removeDoc(path) {
+    const doc = this.docs.get(path);
+    if (!doc) return;
+    doc.tokens.forEach((token) => {
+      const paths = this.postings.get(token);
+      if (!paths) return;
+      paths.delete(path);
+      if (!paths.size) this.postings.delete(token);
+    });
+    this.docs.delete(path);
+  }
+
+  async indexFile(file) {
+    const content = await this.app.vault.cachedRead(file);
+    const tokens = new Set([...tokenizeText(file.basename), ...tokenizeText(content)]);
+    this.removeDoc(file.path);
+    this.addDoc(file.path, file.stat.mtime, [...tokens]);
+  }
+
+  // ---- Vault event hooks (queued until the index has been loaded) ----
+
+  async onFileChanged(file) {
+    if (!(file instanceof obsidian.TFile) || file.extension !== 'md') return;
+    if (!this.ready) {
+      this.pending.set(file.path, file);
+      return;
+    }
+    await this.indexFile(file);
+    this.requestSave();
+  }
+
+  onFileDeleted(file) {
+    if (!this.ready) {
+      this.pending.set(file.path, null);
+      return;
+    }
+    this.removeDoc(file.path);
+    this.requestSave();
+  }
+
+  async onFileRenamed(file, oldPath) {
+    if (!this.ready) {
+      this.pending.set(oldPath, null);
+    } else {
+      this.removeDoc(oldPath);
+      this.requestSave();
+    }
+    await this.onFileChanged(file);
+  }
+
+  // ---- Querying ----
+
+  pathsForToken(token) {
+    return this.postings.get(token) || new Set();
+  }
+
+  pathsForPrefix(prefix) {
+    const result = new Set();
+    this.postings.forEach((paths, token) => {
+      if (token.startsWith(prefix)) paths.forEach((p) => result.add(p));
+    });
+    return result;
+  }
+
+  /**
+   * Paths containing every word, prefix and phrase token of a parsed query
+   * Phrase adjacency is verified later against the note text
+   */
+  async candidates(parsed) {
+    await this.ensureReady();
+
+    const sets = [
+      ...parsed.words.map((t) => this.pathsForToken(t)),
+      ...parsed.prefixes.map((t) => this.pathsForPrefix(t)),
+      ...parsed.phrases.flat().map((t) => this.pathsForToken(t))
+    ].sort((a, b) => a.size - b.size);
+
+    if (!sets.length) return [];
+    return [...sets[0]].filter((path) => sets.every((set) => set.has(path)));
+  }
+}
+
 class NoteRelay extends obsidian.Plugin {
   async onload() {
     await this.loadSettings();
@@ -141,6 +779,56 @@ class NoteRelay extends obsidian.Plugin {
     this.statusBar = this.addStatusBarItem();
     this.isConnected = false;
 
+    // Active sessions panel (command palette + status bar click)
+    this.addCommand({
+      id: 'show-active-sessions',
+      name: 'Show active sessions',
+      callback: () => new ActiveSessionsModal(this.app, this).open()
+    });
+    this.registerDomEvent(this.statusBar, 'click', () => new ActiveSessionsModal(this.app, this).open());
+
+    // Search index (built lazily on first SEARCH, then kept in sync with the vault)
+    this.searchIndex = new SearchIndex(this);
+    this.registerEvent(this.app.vault.on('create', (file) => this.searchIndex.onFileChanged(file)));
+    this.registerEvent(this.app.vault.on('modify', (file) => this.searchIndex.onFileChanged(file)));
+    this.registerEvent(this.app.vault.on('delete', (file) => this.searchIndex.onFileDeleted(file)));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.searchIndex.onFileRenamed(file, oldPath)));
+
+    // Note versions served to peers (merge bases for SAVE_FILE conflicts)
+    this.versionCache = new Map();
+
+    // In-progress browser uploads keyed by uploadId
+    this.uploads = new Map();
+    this.uploadSweepInterval = setInterval(() => this.expireStaleUploads(), UPLOAD_SWEEP_INTERVAL);
+
+    // Whole-file hashes for GET_FILE_RANGE, keyed by path and invalidated by mtime/size
+    this.fileHashCache = new Map();
+    this.registerEvent(this.app.vault.on('delete', (file) => this.fileHashCache.delete(file.path)));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.fileHashCache.delete(oldPath)));
+
+    // Collaborative editing sessions keyed by note path
+    this.collabSessions = new Map();
+    this.registerEvent(this.app.vault.on('modify', (file) => this.onCollabFileModified(file)));
+    this.registerEvent(this.app.vault.on('delete', (file) => this.closeCollabSession(file.path, 'deleted')));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.onCollabFileRenamed(file, oldPath)));
+
+    // Live change push to connected peers
+    this.peerSessions = new Set();
+    this.registerVaultEventPush();
+
+    // Host network changed: ask connected browsers to restart ICE on the new path
+    this.registerDomEvent(window, 'online', () => {
+      this.getActivePeerSessions()
+        .filter((session) => session.transport === 'webrtc')
+        .forEach((session) => this.requestIceRestart(session));
+    });
+
+    // Idle timeout and maximum session lifetime
+    this.sessionExpiryInterval = setInterval(() => this.checkSessionExpiry(), SESSION_CHECK_INTERVAL);
+
+    // LAN direct mode (independent of cloud signaling)
+    if (this.settings.lanEnabled) this.startLanServer();
+
     // Auto-connect on plugin load
     this.connectSignaling();
 
@@ -188,10 +876,10 @@ class NoteRelay extends obsidian.Plugin {
     this.keepAliveInterval = setInterval(async () => {
       // Small async operation keeps the event loop responsive to WebSocket callbacks
       await Promise.resolve();
-      // Touch the Supabase connection if it exists to keep it responsive
-      if (this.supabase && this.channel) {
+      // Touch the signaling connection if it exists to keep it responsive
+      if (this.signaling) {
         // Reading state doesn't send network traffic but keeps the objects active
-        const state = this.channel.state;
+        const state = this.signaling.state;
       }
     }, 1000);
 
@@ -211,6 +899,23 @@ class NoteRelay extends obsidian.Plugin {
     if (this.keepAliveInterval) {
       clearInterval(this.keepAliveInterval);
     }
+    if (this.sessionExpiryInterval) {
+      clearInterval(this.sessionExpiryInterval);
+    }
+
+    // Drop unfinished uploads
+    if (this.uploadSweepInterval) {
+      clearInterval(this.uploadSweepInterval);
+    }
+    this.uploads?.clear();
+
+    this.stopLanServer();
+
+    // Flush pending search index changes
+    if (this.searchIndex?.ready) {
+      this.searchIndex.requestSave.cancel();
+      this.searchIndex.save();
+    }
   }
 
   async loadSettings() {
@@ -252,6 +957,22 @@ class NoteRelay extends obsidian.Plugin {
     return clean;
   }
 
+  /**
+   * Full URL for a cloud route: an absolute override wins, otherwise the override or default
+   * path is joined to the configured base URL. Optional query params are appended.
+   */
+  getEndpoint(route, params) {
+    const override = (this.settings.apiRouteOverrides || {})[route];
+    const base = (this.settings.apiBaseUrl || API_BASE_URL).replace(/\/+$/, '');
+    let url = override && /^https?:\/\//i.test(override) ? override : base + (override || API_ROUTES[route]);
+
+    if (params) {
+      const query = new URLSearchParams(params).toString();
+      url += (url.includes('?') ? '&' : '?') + query;
+    }
+    return url;
+  }
+
   async registerVaultAndGetSignalId() {
     if (!this.settings.userEmail) {
       return null;
@@ -259,7 +980,7 @@ class NoteRelay extends obsidian.Plugin {
 
     try {
       const os = require('os');
-      const response = await fetch('https://noterelay.io/api/vaults?route=register', {
+      const response = await fetch(this.getEndpoint('register'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -305,6 +1026,17 @@ class NoteRelay extends obsidian.Plugin {
       if (result.success) {
         this.signalId = result.signalId; this.isConnected = true;
 
+        // Pin the owner-token key on first registration; a different key later is not trusted
+        if (result.ownerTokenKey) {
+          if (!this.settings.ownerTokenKey) {
+            this.settings.ownerTokenKey = result.ownerTokenKey;
+            await this.saveSettings();
+          } else if (JSON.stringify(result.ownerTokenKey) !== JSON.stringify(this.settings.ownerTokenKey)) {
+            console.warn('Note Relay: Server presented a different owner-token key; keeping the pinned key');
+            new obsidian.Notice('Note Relay: The server\'s owner verification key changed. Owner logins will be refused until you reset the pinned key in settings.', 15000);
+          }
+        }
+
         // Show non-intrusive notice if plugin is outdated
         if (result.versionOutdated && result.currentVersion) {
           new obsidian.Notice(`A newer version of Note Relay is available (v${result.currentVersion})`);
@@ -328,7 +1060,7 @@ class NoteRelay extends obsidian.Plugin {
   // Validate OAuth token from browser callback
   async validatePluginToken(token, email, vaultId) {
     try {
-      const response = await fetch('https://noterelay.io/api/plugin-token?route=validate', {
+      const response = await fetch(this.getEndpoint('validateToken'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ token, email, vaultId })
@@ -349,7 +1081,7 @@ class NoteRelay extends obsidian.Plugin {
     if (!this.settings.userEmail) return;
 
     try {
-      const response = await fetch('https://noterelay.io/api/turn-credentials', {
+      const response = await fetch(this.getEndpoint('turnCredentials'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -402,7 +1134,7 @@ class NoteRelay extends obsidian.Plugin {
     }
 
     try {
-      const response = await fetch('https://noterelay.io/api/vaults?route=heartbeat', {
+      const response = await fetch(this.getEndpoint('heartbeat'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -440,10 +1172,10 @@ class NoteRelay extends obsidian.Plugin {
       this.heartbeatInterval = null;
     }
 
-    // Unsubscribe from Supabase
-    if (this.channel) {
-      this.channel.unsubscribe();
-      this.channel = null;
+    // Stop listening for offers
+    if (this.signaling) {
+      this.signaling.close();
+      this.signaling = null;
     }
 
     if (this.supabase) {
@@ -468,36 +1200,58 @@ class NoteRelay extends obsidian.Plugin {
   // COMMAND HANDLERS (Wave 1: Simple)
   // ============================================
 
+  // Feature flags advertised in PONG/HANDSHAKE_ACK
+  getCapabilities() {
+    return {
+      themeHashV1: true,     // GUI can rely on cssHash being provided for Step 7 theming
+      searchV1: true,        // SEARCH command (indexed, prefix/phrase queries)
+      vaultEventsV1: true,   // FILE_CHANGED/CREATED/DELETED/RENAMED pushed live
+      saveConflictsV1: true, // SAVE_FILE honours baseVersion and replies CONFLICT on mismatch
+      patchFileV1: true,     // PATCH_FILE accepts offset edits or unified diff hunks
+      collabV1: true,        // COLLAB_* commands (CodeMirror collab protocol + presence)
+      binaryFramesV1: true,  // Raw binary frames for file payloads when the client opts in
+      fileRangeV1: true,     // GET_FILE_RANGE byte ranges with whole-file SHA-256
+      uploadsV1: true,       // UPLOAD_BEGIN/CHUNK/COMMIT/ABORT (chunks as binary frames or base64)
+      attachmentsV1: true,   // UPLOAD_BEGIN attachmentFor: placed per attachment settings, returns embed
+      trickleIceV1: true,    // Offers with `trickle: true` get 'candidate' signaling rows
+      iceRestartV1: true,    // Offers with `iceRestart: true` renegotiate the live connection; host sends 'ice-restart' requests
+      resumeV1: true         // HANDSHAKE_ACK resumeToken; HANDSHAKE { resumeToken } skips re-authentication
+    };
+  }
+
   async _handlePing(msg, sendCallback) {
     // PING/HANDSHAKE - send hash always, full CSS only if changed
     const { cssHash, css } = await this.getThemeCSSWithHash();
     sendCallback(msg.cmd === 'PING' ? 'PONG' : 'HANDSHAKE_ACK', {
       version: BUILD_VERSION,
       pluginVersion: this.manifest.version,
-      capabilities: {
-        themeHashV1: true  // GUI can rely on cssHash being provided for Step 7 theming
-      },
+      capabilities: this.getCapabilities(),
       readOnly: false,
       cssHash: cssHash,
       css: css  // null if unchanged, full CSS if new/changed
     });
   }
 
-  async _handleGetTree(sendCallback) {
-    const files = this.app.vault.getMarkdownFiles().map((f) => {
-      const cache = this.app.metadataCache.getFileCache(f);
-      let tags = [], links = [];
-      if (cache) {
-        if (cache.frontmatter?.tags) {
-          let ft = cache.frontmatter.tags;
-          if (!Array.isArray(ft)) ft = [ft];
-          ft.forEach((t) => tags.push(t.startsWith('#') ? t : '#' + t));
-        }
-        if (cache.tags) cache.tags.forEach((t) => tags.push(t.tag));
-        if (cache.links) cache.links.forEach((l) => links.push(l.link));
+  // Tree entry for a markdown file: path plus its tags and outgoing links
+  buildTreeEntry(f, peerSession = null) {
+    const cache = this.app.metadataCache.getFileCache(f);
+    let tags = [], links = [];
+    if (cache) {
+      if (cache.frontmatter?.tags) {
+        let ft = cache.frontmatter.tags;
+        if (!Array.isArray(ft)) ft = [ft];
+        ft.forEach((t) => tags.push(t.startsWith('#') ? t : '#' + t));
       }
-      return { path: f.path, tags: [...new Set(tags)], links: [...new Set(links)] };
-    });
+      if (cache.tags) cache.tags.forEach((t) => tags.push(t.tag));
+      if (cache.links) cache.links.forEach((l) => links.push(l.link));
+    }
+    return { path: f.path, tags: [...new Set(tags)], links: this.filterLinks([...new Set(links)], f.path, peerSession) };
+  }
+
+  async _handleGetTree(sendCallback, peerSession) {
+    const files = this.app.vault.getMarkdownFiles()
+      .filter((f) => this.canRead(peerSession, f.path))
+      .map((f) => this.buildTreeEntry(f, peerSession));
 
     // Get all folders including empty ones
     const allFolders = [];
@@ -511,9 +1265,24 @@ class NoteRelay extends obsidian.Plugin {
     };
     getAllFolders(this.app.vault.getRoot());
 
+    // Restricted peers only see folders they can read, plus the parents needed to reach visible entries
+    let folders = allFolders;
+    if (peerSession) {
+      const visible = new Set();
+      const addWithParents = (path) => {
+        const parts = path.split('/');
+        for (let i = 1; i <= parts.length; i++) visible.add(parts.slice(0, i).join('/'));
+      };
+      allFolders.filter((f) => this.canRead(peerSession, f)).forEach(addWithParents);
+      files.forEach((f) => {
+        if (f.path.includes('/')) addWithParents(f.path.split('/').slice(0, -1).join('/'));
+      });
+      folders = allFolders.filter((f) => visible.has(f));
+    }
+
     // Send hash always, full CSS only if changed (bandwidth optimization)
     const { cssHash, css } = await this.getThemeCSSWithHash();
-    sendCallback('TREE', { files, folders: allFolders, cssHash: cssHash, css: css });
+    sendCallback('TREE', { files, folders, cssHash: cssHash, css: css });
   }
 
 
@@ -521,7 +1290,7 @@ class NoteRelay extends obsidian.Plugin {
   // COMMAND HANDLERS (Wave 2: Read)
   // ============================================
 
-  async _handleGetRenderedFile(msg, sendCallback, isReadOnly) {
+  async _handleGetRenderedFile(msg, sendCallback, isReadOnly, peerSession) {
     const safePath = this.sanitizePath(msg.path);
     if (!safePath) {
       sendCallback('ERROR', { message: 'Invalid path' });
@@ -562,12 +1331,18 @@ class NoteRelay extends obsidian.Plugin {
 
       const div = document.createElement('div');
 
+      // Drop embeds of unreadable files and filter query results before anything is rendered
+      const markdown = await this.prepareMarkdownForPeer(contentWithoutYaml, file.path, peerSession);
+
       // Render Markdown WITHOUT frontmatter
-      await obsidian.MarkdownRenderer.render(this.app, contentWithoutYaml, div, file.path, this);
+      await obsidian.MarkdownRenderer.render(this.app, markdown, div, file.path, this);
 
       // Smart Rendering: Wait for Dataview/Plugins to settle
       await this.waitForRender(div);
 
+      // Backstop: strip any remaining links to files this peer may not read
+      this.redactRenderedHtml(div, file.path, peerSession);
+
       // Extract CSS
       const themeCSS = this.extractThemeCSS();
 
@@ -584,6 +1359,8 @@ class NoteRelay extends obsidian.Plugin {
       if (cache && cache.links) {
         cache.links.forEach(l => {
           const linkPath = l.link; // Simple resolution for V1
+          const target = this.app.metadataCache.getFirstLinkpathDest(obsidian.getLinkpath(l.link), file.path);
+          if (target && !this.canRead(peerSession, target.path)) return;
           if (!graphData.nodes.find(n => n.id === linkPath)) {
             graphData.nodes.push({ id: linkPath, label: linkPath.split('/').pop().replace('.md', ''), group: 'neighbor' });
           }
@@ -594,7 +1371,7 @@ class NoteRelay extends obsidian.Plugin {
       // B. Backlinks
       const allLinks = this.app.metadataCache.resolvedLinks;
       for (const sourcePath in allLinks) {
-        if (allLinks[sourcePath][currentPath]) {
+        if (allLinks[sourcePath][currentPath] && this.canRead(peerSession, sourcePath)) {
           backlinks.push(sourcePath);
           if (!graphData.nodes.find(n => n.id === sourcePath)) {
             graphData.nodes.push({ id: sourcePath, label: sourcePath.split('/').pop().replace('.md', ''), group: 'neighbor' });
@@ -622,7 +1399,7 @@ class NoteRelay extends obsidian.Plugin {
             }
 
 
-            if (targetFile) {
+            if (targetFile && this.canRead(peerSession, targetFile.path)) {
               const arrayBuffer = await this.app.vault.readBinary(targetFile);
               const base64 = Buffer.from(arrayBuffer).toString('base64');
               const ext = targetFile.extension;
@@ -655,7 +1432,7 @@ class NoteRelay extends obsidian.Plugin {
 
       // INJECT TREE IF NEEDED
       if (shouldRefreshTree) {
-        response.files = this.app.vault.getFiles().map(f => ({
+        response.files = this.app.vault.getFiles().filter(f => this.canRead(peerSession, f.path)).map(f => ({
           path: f.path,
           name: f.name,
           basename: f.basename,
@@ -671,7 +1448,80 @@ class NoteRelay extends obsidian.Plugin {
     }
   }
 
-  async _handleGetFile(msg, sendCallback) {
+  async _handleSearch(msg, sendCallback, peerSession) {
+    const query = typeof msg.data?.query === 'string' ? msg.data.query.trim() : '';
+    if (!query) {
+      sendCallback('ERROR', { message: 'Invalid query' });
+      return;
+    }
+
+    const parsed = parseSearchQuery(query);
+    if (!parsed.terms.length) {
+      sendCallback('ERROR', { message: 'Invalid query' });
+      return;
+    }
+    const limit = Math.min(Number(msg.data.limit) || SEARCH_MAX_RESULTS, SEARCH_MAX_RESULTS);
+    const results = [];
+
+    // Narrow down with the index; fall back to a full scan if it is unavailable
+    let files;
+    try {
+      const paths = await this.searchIndex.candidates(parsed);
+      files = paths.map((p) => this.app.vault.getAbstractFileByPath(p)).filter((f) => f instanceof obsidian.TFile);
+    } catch (err) {
+      files = this.app.vault.getMarkdownFiles();
+    }
+
+    for (const file of files) {
+      if (!this.canRead(peerSession, file.path)) continue;
+      const hit = await this.searchFile(file, parsed.terms);
+      if (hit) results.push(hit);
+    }
+
+    results.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+    sendCallback('SEARCH_RESULTS', {
+      query,
+      total: results.length,
+      results: results.slice(0, limit)
+    });
+  }
+
+  /**
+   * Match all query terms against a note's name, frontmatter and body
+   * Returns null unless every term is found somewhere in the note
+   */
+  async searchFile(file, terms) {
+    const content = await this.app.vault.cachedRead(file);
+    const cache = this.app.metadataCache.getFileCache(file);
+    const frontmatterEnd = cache?.frontmatterPosition?.end.line ?? -1;
+
+    const nameHighlights = findTermRanges(file.basename, terms);
+    const found = new Set(terms.filter((t) => file.basename.toLowerCase().includes(t)));
+    let score = found.size * 10;
+    const matches = [];
+
+    const lines = content.split('\n');
+    lines.forEach((line, i) => {
+      const ranges = findTermRanges(line, terms);
+      if (!ranges.length) return;
+
+      const lineLower = line.toLowerCase();
+      terms.forEach((t) => { if (lineLower.includes(t)) found.add(t); });
+
+      const field = i <= frontmatterEnd ? 'frontmatter' : 'body';
+      score += (field === 'frontmatter' ? 3 : 1) * ranges.length;
+
+      if (matches.length < SEARCH_MAX_MATCHES_PER_FILE) {
+        matches.push({ line: i + 1, field, ...buildSnippet(line, ranges) });
+      }
+    });
+
+    if (found.size < terms.length) return null;
+
+    return { path: file.path, basename: file.basename, score, nameHighlights, matches };
+  }
+
+  async _handleGetFile(msg, sendCallback, peerSession) {
     const safePath = this.sanitizePath(msg.path);
     if (!safePath) {
       sendCallback('ERROR', { message: 'Invalid path' });
@@ -713,9 +1563,9 @@ class NoteRelay extends obsidian.Plugin {
 
           // Convert to JPEG 80% quality for thumbnails
           const dataUrl = canvas.toDataURL('image/jpeg', 0.8);
-          const base64 = dataUrl.split(',')[1];
+          const bytes = Buffer.from(dataUrl.split(',')[1], 'base64');
 
-          sendCallback('FILE', base64, {
+          sendCallback('FILE', bytes, {
             path: msg.path,
             isImage: true,
             ext: 'jpg', // Thumbnails are always JPEGs
@@ -729,8 +1579,7 @@ class NoteRelay extends obsidian.Plugin {
       }
 
       // Full size (Default for Pro Download or Fallback)
-      const base64 = Buffer.from(arrayBuffer).toString('base64');
-      sendCallback('FILE', base64, {
+      sendCallback('FILE', arrayBuffer, {
         path: msg.path,
         isImage: true,
         ext: file.extension
@@ -742,20 +1591,21 @@ class NoteRelay extends obsidian.Plugin {
       const backlinks = [];
       const resolved = this.app.metadataCache.resolvedLinks;
       for (const [sourcePath, links] of Object.entries(resolved)) {
-        if (links[msg.path]) backlinks.push(sourcePath);
+        if (links[msg.path] && this.canRead(peerSession, sourcePath)) backlinks.push(sourcePath);
       }
 
       sendCallback('FILE', {
         data: content,
-        backlinks
+        backlinks,
+        version: this.rememberVersion(content),
+        mtime: file.stat.mtime
       }, { path: msg.path });
     }
     // 3. Handle All Other Files (Binary - PDF, Video, Zip, etc.)
     else {
       // Treat as binary to prevent corruption
       const arrayBuffer = await this.app.vault.readBinary(file);
-      const base64 = Buffer.from(arrayBuffer).toString('base64');
-      sendCallback('FILE', base64, {
+      sendCallback('FILE', arrayBuffer, {
         path: msg.path,
         isBinary: true,
         ext: file.extension
@@ -764,6 +1614,85 @@ class NoteRelay extends obsidian.Plugin {
   }
 
 
+  async _handleGetFileRange(msg, sendCallback) {
+    const safePath = this.sanitizePath(msg.path);
+    if (!safePath) {
+      sendCallback('ERROR', { message: 'Invalid path' });
+      return;
+    }
+
+    const file = this.app.vault.getAbstractFileByPath(safePath);
+    if (!(file instanceof obsidian.TFile)) {
+      sendCallback('ERROR', { message: 'File not found' });
+      return;
+    }
+
+    const totalSize = file.stat.size;
+    const range = resolveByteRange(msg.data?.offset, msg.data?.length, totalSize);
+    if (!range) {
+      sendCallback('ERROR', { message: 'Range out of bounds' }, { path: safePath });
+      return;
+    }
+    const { offset, length } = range;
+
+    const bytes = await this.readFileRange(file, offset, length);
+    sendCallback('FILE_RANGE', bytes, {
+      path: safePath,
+      ext: file.extension,
+      offset,
+      length: bytes.length,
+      totalSize,
+      eof: offset + bytes.length >= totalSize,
+      mtime: file.stat.mtime,
+      hash: await this.getFileHash(file), // SHA-256 of the whole file (for resume/integrity)
+      rangeHash: createHash('sha256').update(bytes).digest('hex')
+    });
+  }
+
+  // Read [offset, offset + length) without loading the whole file when the adapter is on disk
+  async readFileRange(file, offset, length) {
+    const adapter = this.app.vault.adapter;
+    if (adapter instanceof obsidian.FileSystemAdapter) {
+      const handle = await fsPromises.open(adapter.getFullPath(file.path), 'r');
+      try {
+        const bytes = new Uint8Array(length);
+        const { bytesRead } = await handle.read(bytes, 0, length, offset);
+        return bytes.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    }
+
+    const arrayBuffer = await this.app.vault.readBinary(file);
+    return new Uint8Array(arrayBuffer, offset, length);
+  }
+
+  /**
+   * SHA-256 of a whole file, streamed from disk and cached until its mtime/size change
+   * Range requests for the same file then cost only the slice read
+   */
+  async getFileHash(file) {
+    const cached = this.fileHashCache.get(file.path);
+    if (cached && cached.mtime === file.stat.mtime && cached.size === file.stat.size) {
+      return cached.hash;
+    }
+
+    const hash = createHash('sha256');
+    const adapter = this.app.vault.adapter;
+    if (adapter instanceof obsidian.FileSystemAdapter) {
+      for await (const chunk of createReadStream(adapter.getFullPath(file.path))) {
+        hash.update(chunk);
+      }
+    } else {
+      hash.update(new Uint8Array(await this.app.vault.readBinary(file)));
+    }
+
+    const digest = hash.digest('hex');
+    this.fileHashCache.set(file.path, { mtime: file.stat.mtime, size: file.stat.size, hash: digest });
+    return digest;
+  }
+
+
   // ============================================
   // COMMAND HANDLERS (Wave 3: Write)
   // ============================================
@@ -785,12 +1714,125 @@ class NoteRelay extends obsidian.Plugin {
       return;
     }
 
-    await this.app.vault.modify(file, msg.data);
-    sendCallback('SAVED', { path: safePath });
+    // Optimistic concurrency: with a baseVersion, only write if the note is unchanged since it was read
+    const { written, conflict } = await this.writeVersioned(file, msg.baseVersion, () => msg.data);
+    if (conflict !== null) {
+      this.sendConflict(sendCallback, file, msg.baseVersion, conflict, () => msg.data);
+      return;
+    }
+
+    sendCallback('SAVED', { path: safePath, version: this.rememberVersion(written), mtime: file.stat.mtime });
     new obsidian.Notice(`Saved: ${safePath}`);
   }
 
-  async _handleCreateFile(msg, sendCallback, isReadOnly) {
+  async _handlePatchFile(msg, sendCallback, isReadOnly) {
+    if (isReadOnly) {
+      sendCallback('ERROR', { message: 'Read-only mode' });
+      return;
+    }
+    const safePath = this.sanitizePath(msg.path);
+    if (!safePath) {
+      sendCallback('ERROR', { message: 'Invalid path' });
+      return;
+    }
+    if (!msg.baseVersion) {
+      sendCallback('ERROR', { message: 'Missing baseVersion' });
+      return;
+    }
+
+    const file = this.app.vault.getAbstractFileByPath(safePath);
+    if (!(file instanceof obsidian.TFile)) {
+      sendCallback('ERROR', { message: 'File not found' });
+      return;
+    }
+
+    // Either offset-based edits or a unified diff, both relative to baseVersion
+    const applyPatch = (text) => {
+      if (Array.isArray(msg.data?.edits)) return applyTextEdits(text, msg.data.edits);
+      if (typeof msg.data?.diff === 'string') return applyUnifiedDiff(text, msg.data.diff);
+      throw new Error('Patch must contain edits or diff');
+    };
+
+    let result;
+    try {
+      result = await this.writeVersioned(file, msg.baseVersion, applyPatch);
+    } catch (patchError) {
+      sendCallback('ERROR', { message: 'Patch failed: ' + patchError.message }, { path: safePath });
+      return;
+    }
+
+    if (result.conflict !== null) {
+      this.sendConflict(sendCallback, file, msg.baseVersion, result.conflict, applyPatch);
+      return;
+    }
+
+    sendCallback('PATCHED', { path: safePath, version: this.rememberVersion(result.written), mtime: file.stat.mtime });
+  }
+
+  /**
+   * Atomically rewrite a note via vault.process if it still matches baseVersion
+   * Returns { written, conflict } where conflict is the current content on mismatch (else null);
+   * errors thrown by produce() leave the note untouched and are rethrown
+   */
+  async writeVersioned(file, baseVersion, produce) {
+    let conflict = null;
+    let failure = null;
+    const written = await this.app.vault.process(file, (current) => {
+      if (baseVersion && hashContent(current) !== baseVersion) {
+        conflict = current;
+        return current;
+      }
+      try {
+        return produce(current);
+      } catch (err) {
+        failure = err;
+        return current;
+      }
+    });
+    if (failure) throw failure;
+    return { written, conflict };
+  }
+
+  /**
+   * Reply CONFLICT with the current note and, when the base is still cached,
+   * a three-way merge of the peer's intended content against it
+   */
+  sendConflict(sendCallback, file, baseVersion, current, produceIncoming) {
+    const baseContent = this.versionCache.get(baseVersion);
+    let merge = null; // null = base unknown, patch unusable or texts too far apart; the client must merge two-way
+    if (baseContent !== undefined) {
+      try {
+        merge = mergeThreeWay(baseContent, current, produceIncoming(baseContent));
+      } catch (err) {
+        console.warn('Note Relay: Could not build merge for conflict', err);
+      }
+    }
+
+    sendCallback('CONFLICT', {
+      path: file.path,
+      baseVersion,
+      currentVersion: this.rememberVersion(current),
+      current,
+      mtime: file.stat.mtime,
+      merge
+    }, { path: file.path });
+  }
+
+  /**
+   * Record note content served to (or written by) a peer, keyed by its version hash
+   * Kept so a later conflicting SAVE_FILE/PATCH_FILE can be three-way merged against it
+   */
+  rememberVersion(content) {
+    const version = hashContent(content);
+    this.versionCache.delete(version);
+    this.versionCache.set(version, content);
+    if (this.versionCache.size > VERSION_CACHE_SIZE) {
+      this.versionCache.delete(this.versionCache.keys().next().value);
+    }
+    return version;
+  }
+
+  async _handleCreateFile(msg, sendCallback, isReadOnly, peerSession) {
     if (isReadOnly) {
       sendCallback('ERROR', { message: 'Read-only mode' });
       return;
@@ -814,7 +1856,7 @@ class NoteRelay extends obsidian.Plugin {
       cmd: 'GET_RENDERED_FILE',
       path: safePath,
       refreshTree: true
-    }, sendCallback, isReadOnly);
+    }, sendCallback, isReadOnly, peerSession);
   }
 
   async _handleCreateFolder(msg, sendCallback, isReadOnly) {
@@ -886,7 +1928,7 @@ class NoteRelay extends obsidian.Plugin {
   // COMMAND HANDLERS (Wave 4: Special)
   // ============================================
 
-  async _handleOpenFile(msg, sendCallback, isReadOnly) {
+  async _handleOpenFile(msg, sendCallback, isReadOnly, peerSession) {
     const safePath = this.sanitizePath(msg.path);
 
     if (!safePath) {
@@ -921,7 +1963,7 @@ class NoteRelay extends obsidian.Plugin {
         } else {
           sendCallback(type, data, meta);
         }
-      }, isReadOnly);
+      }, isReadOnly, peerSession);
       return;
     }
 
@@ -1005,10 +2047,10 @@ class NoteRelay extends obsidian.Plugin {
       } else {
         sendCallback(type, data, meta);
       }
-    }, isReadOnly);
+    }, isReadOnly, peerSession);
   }
 
-  async _handleOpenDailyNote(msg, sendCallback) {
+  async _handleOpenDailyNote(msg, sendCallback, peerSession) {
     try {
       // Check if daily notes plugin is enabled
       const dailyNotesPlugin = this.app.internalPlugins?.plugins?.['daily-notes'];
@@ -1038,6 +2080,11 @@ class NoteRelay extends obsidian.Plugin {
         activeLeaf.detach();
       }
 
+      if (!this.canRead(peerSession, activeFile.path)) {
+        sendCallback('ERROR', { message: 'ACCESS_DENIED: Daily note is outside your shared folders', code: 'ACCESS_DENIED' });
+        return;
+      }
+
       // Just return the path - let web UI load it normally
       const response = { success: true, path: activeFile.path };
       sendCallback('OPEN_DAILY_NOTE', response);
@@ -1048,97 +2095,1520 @@ class NoteRelay extends obsidian.Plugin {
     }
   }
 
-  async processCommand(msg, sendCallback, isReadOnly = false) {
-    try {
-      if (msg.cmd === 'PING' || msg.cmd === 'HANDSHAKE') {
-        await this._handlePing(msg, sendCallback);
-        return;
-      }
 
-      if (msg.cmd === 'GET_TREE') {
-        await this._handleGetTree(sendCallback);
-        return;
-      }
+  // ============================================
+  // COMMAND HANDLERS (Wave 5: Uploads)
+  // ============================================
 
-      if (msg.cmd === 'GET_RENDERED_FILE') {
-        await this._handleGetRenderedFile(msg, sendCallback, isReadOnly);
-        return;
-      }
+  async _handleUploadBegin(msg, sendCallback, isReadOnly, peerSession) {
+    if (isReadOnly) {
+      sendCallback('ERROR', { message: 'Read-only mode' });
+      return;
+    }
+    const safePath = this.sanitizePath(msg.path);
+    if (!safePath) {
+      sendCallback('ERROR', { message: 'Invalid path' });
+      return;
+    }
 
-      if (msg.cmd === 'GET_FILE') {
-        await this._handleGetFile(msg, sendCallback);
-        return;
-      }
+    const ext = safePath.includes('.') ? safePath.split('.').pop().toLowerCase() : '';
+    const allowed = this.settings.uploadAllowedExtensions.split(',').map((e) => e.trim().toLowerCase()).filter(Boolean);
+    if (!allowed.includes(ext)) {
+      sendCallback('ERROR', { message: `File type not allowed: .${ext}` }, { path: safePath });
+      return;
+    }
 
-      if (msg.cmd === 'SAVE_FILE') {
-        await this._handleSaveFile(msg, sendCallback, isReadOnly);
-        return;
-      }
+    const size = Number(msg.data?.size);
+    if (!Number.isInteger(size) || size < 0) {
+      sendCallback('ERROR', { message: 'Invalid upload size' }, { path: safePath });
+      return;
+    }
+    if (size > this.settings.uploadMaxBytes) {
+      sendCallback('ERROR', { message: `File too large (max ${Math.floor(this.settings.uploadMaxBytes / (1024 * 1024))} MB)` }, { path: safePath });
+      return;
+    }
 
-      if (msg.cmd === 'CREATE_FILE') {
-        await this._handleCreateFile(msg, sendCallback, isReadOnly);
+    // Attachments pasted/dropped into a note go where Obsidian would put them
+    let targetPath = safePath;
+    let sourcePath = null;
+    if (msg.data?.attachmentFor) {
+      sourcePath = this.sanitizePath(msg.data.attachmentFor);
+      if (!(this.app.vault.getAbstractFileByPath(sourcePath) instanceof obsidian.TFile)) {
+        sendCallback('ERROR', { message: 'Note not found' }, { path: sourcePath });
         return;
       }
+      const filename = msg.data.pasted
+        ? `Pasted image ${obsidian.moment().format('YYYYMMDDHHmmss')}.${ext}`
+        : safePath.split('/').pop();
+      targetPath = await this.getAttachmentPath(filename, sourcePath);
+    }
 
-      if (msg.cmd === 'CREATE_FOLDER') {
-        await this._handleCreateFolder(msg, sendCallback, isReadOnly);
-        return;
-      }
+    if (!this.canWrite(peerSession, targetPath)) {
+      sendCallback('ERROR', { message: 'ACCESS_DENIED: No write access to ' + targetPath, code: 'ACCESS_DENIED' }, { path: targetPath });
+      return;
+    }
 
-      if (msg.cmd === 'RENAME_FILE') {
-        await this._handleRenameFile(msg, sendCallback, isReadOnly);
-        return;
-      }
+    const existing = this.app.vault.getAbstractFileByPath(targetPath);
+    if (existing && !(msg.data?.overwrite && !sourcePath && existing instanceof obsidian.TFile)) {
+      sendCallback('ERROR', { message: 'File already exists' }, { path: targetPath });
+      return;
+    }
 
-      if (msg.cmd === 'DELETE_FILE') {
-        await this._handleDeleteFile(msg, sendCallback, isReadOnly);
-        return;
-      }
+    // Chunks stay in memory until commit, so cap what peers can hold open
+    this.expireStaleUploads();
+    const active = [...this.uploads.values()];
+    if (active.filter((u) => u.peerSession === peerSession).length >= UPLOAD_MAX_ACTIVE_PER_PEER) {
+      sendCallback('ERROR', { message: `Too many uploads in progress (max ${UPLOAD_MAX_ACTIVE_PER_PEER})` }, { path: safePath });
+      return;
+    }
+    const reserved = active.reduce((sum, u) => sum + u.size, 0);
+    if (reserved + size > Math.max(UPLOAD_MAX_BUFFERED_BYTES, this.settings.uploadMaxBytes)) {
+      sendCallback('ERROR', { message: 'Host is busy with other uploads, try again later' }, { path: safePath });
+      return;
+    }
 
-      if (msg.cmd === 'OPEN_FILE') {
-        await this._handleOpenFile(msg, sendCallback, isReadOnly);
-        return;
-      }
+    const uploadId = crypto.randomUUID();
+    this.uploads.set(uploadId, {
+      path: targetPath,
+      sourcePath,
+      size,
+      overwrite: !!existing,
+      chunks: [],
+      received: 0,
+      nextSeq: 0,
+      peerSession,
+      lastActivity: Date.now()
+    });
 
-      if (msg.cmd === 'OPEN_DAILY_NOTE') {
-        await this._handleOpenDailyNote(msg, sendCallback);
-        return;
-      }
+    sendCallback('UPLOAD_READY', { uploadId, path: targetPath, size }, { path: targetPath });
+  }
 
-    } catch (error) {
-      console.error('Note Relay Command Error:', error);
-      sendCallback('ERROR', { message: error.message });
+  async _handleUploadChunk(msg, sendCallback, isReadOnly, peerSession) {
+    const upload = this.getUploadForPeer(msg, sendCallback, peerSession);
+    if (!upload) return;
+    const uploadId = msg.data.uploadId;
+
+    if (Number(msg.data.seq) !== upload.nextSeq) {
+      sendCallback('ERROR', { message: `Unexpected chunk ${msg.data.seq} (expected ${upload.nextSeq})`, uploadId }, { path: upload.path });
+      return;
+    }
+
+    // Raw bytes when sent as a binary frame, base64 in legacy JSON messages
+    const bytes = msg.payload
+      ? toUint8Array(msg.payload).slice()
+      : new Uint8Array(Buffer.from(String(msg.data.chunk || ''), 'base64'));
+
+    if (upload.received + bytes.length > upload.size) {
+      this.uploads.delete(uploadId);
+      sendCallback('ERROR', { message: 'Upload exceeds declared size', uploadId }, { path: upload.path });
+      return;
     }
+
+    upload.chunks.push(bytes);
+    upload.received += bytes.length;
+    upload.nextSeq++;
+    upload.lastActivity = Date.now();
+
+    sendCallback('UPLOAD_ACK', { uploadId, seq: upload.nextSeq - 1, received: upload.received }, { path: upload.path });
   }
 
-  answerCall(remoteId, offerSignal) {
-    // Configure ICE servers (STUN + TURN if available)
-    const iceServers = this.iceServers || [
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' }
-    ];
+  async _handleUploadCommit(msg, sendCallback, isReadOnly, peerSession) {
+    const upload = this.getUploadForPeer(msg, sendCallback, peerSession);
+    if (!upload) return;
+    const uploadId = msg.data.uploadId;
+    this.uploads.delete(uploadId);
 
-    const peer = new SimplePeer({
-      initiator: false,
-      trickle: false,
-      objectMode: false,
-      config: { iceServers }
+    if (upload.received !== upload.size) {
+      sendCallback('ERROR', { message: `Upload incomplete (${upload.received}/${upload.size} bytes)`, uploadId }, { path: upload.path });
+      return;
+    }
+
+    const data = new Uint8Array(upload.size);
+    let offset = 0;
+    upload.chunks.forEach((chunk) => {
+      data.set(chunk, offset);
+      offset += chunk.length;
     });
-    let isAuthenticated = false;
-    let peerReadOnly = false;
 
-    peer.safeSend = (data) => {
-      if (peer._channel && peer._channel.readyState === 'open') {
-        try {
-          peer.send(JSON.stringify(data));
-        } catch (e) {
-          console.error('Send Fail', e);
-        }
-      }
-    };
+    const hash = createHash('sha256').update(data).digest('hex');
+    if (msg.data.hash && msg.data.hash !== hash) {
+      sendCallback('ERROR', { message: 'Upload hash mismatch', uploadId }, { path: upload.path });
+      return;
+    }
 
-    peer.sendChunked = async (type, data, meta = {}) => {
-      if (!isAuthenticated && type !== 'ERROR') return;
+    // Re-check the target: something may have been created while chunks were arriving
+    let existing = this.app.vault.getAbstractFileByPath(upload.path);
+    if (existing && upload.sourcePath) {
+      // Attachments just take the next free name
+      upload.path = await this.getAttachmentPath(upload.path.split('/').pop(), upload.sourcePath);
+      existing = null;
+    }
+    if (existing && !(upload.overwrite && existing instanceof obsidian.TFile)) {
+      sendCallback('ERROR', { message: 'File already exists', uploadId }, { path: upload.path });
+      return;
+    }
+
+    let file = existing;
+    if (file) {
+      await this.app.vault.modifyBinary(file, data.buffer);
+    } else {
+      await this.ensureFolder(upload.path.split('/').slice(0, -1).join('/'));
+      file = await this.app.vault.createBinary(upload.path, data.buffer);
+    }
+
+    const response = { uploadId, path: upload.path, size: upload.size, hash };
+    if (upload.sourcePath) {
+      // Embed text in the user's link style (wikilink vs markdown, relative vs shortest)
+      response.embed = '!' + this.app.fileManager.generateMarkdownLink(file, upload.sourcePath);
+    }
+
+    sendCallback('UPLOADED', response, { path: upload.path });
+    new obsidian.Notice(`Uploaded: ${upload.path}`);
+  }
+
+  async _handleUploadAbort(msg, sendCallback, isReadOnly, peerSession) {
+    const upload = this.getUploadForPeer(msg, sendCallback, peerSession);
+    if (!upload) return;
+
+    this.uploads.delete(msg.data.uploadId);
+    sendCallback('UPLOAD_ABORTED', { uploadId: msg.data.uploadId }, { path: upload.path });
+  }
+
+  // Free path for an attachment of `sourcePath`, honoring the vault's attachment folder setting
+  async getAttachmentPath(filename, sourcePath) {
+    return obsidian.normalizePath(await this.app.fileManager.getAvailablePathForAttachment(filename, sourcePath));
+  }
+
+  // Uploads are bound to the peer that started them
+  getUploadForPeer(msg, sendCallback, peerSession) {
+    const upload = this.uploads.get(msg.data?.uploadId);
+    if (!upload || upload.peerSession !== peerSession) {
+      sendCallback('ERROR', { message: 'Unknown upload' });
+      return null;
+    }
+    return upload;
+  }
+
+  expireStaleUploads() {
+    const cutoff = Date.now() - UPLOAD_TIMEOUT;
+    for (const [uploadId, upload] of this.uploads) {
+      if (upload.lastActivity < cutoff) this.uploads.delete(uploadId);
+    }
+  }
+
+  abortUploadsForPeer(peerSession) {
+    for (const [uploadId, upload] of this.uploads) {
+      if (upload.peerSession === peerSession) this.uploads.delete(uploadId);
+    }
+  }
+
+  // Create a folder (and its parents) if missing
+  async ensureFolder(folderPath) {
+    if (!folderPath || this.app.vault.getAbstractFileByPath(folderPath)) return;
+    await this.ensureFolder(folderPath.split('/').slice(0, -1).join('/'));
+    await this.app.vault.createFolder(folderPath);
+  }
+
+  // ============================================
+  // COMMAND HANDLERS (Wave 6: Collaboration)
+  // ============================================
+
+  async _handleCollabJoin(msg, sendCallback, isReadOnly, peerSession) {
+    const safePath = this.sanitizePath(msg.path);
+    if (!safePath) {
+      sendCallback('ERROR', { message: 'Invalid path' });
+      return;
+    }
+    if (!peerSession) {
+      sendCallback('ERROR', { message: 'Collaboration requires a peer connection' });
+      return;
+    }
+
+    const file = this.app.vault.getAbstractFileByPath(safePath);
+    if (!(file instanceof obsidian.TFile) || file.extension !== 'md') {
+      sendCallback('ERROR', { message: 'File not found' });
+      return;
+    }
+
+    let collab = this.collabSessions.get(safePath);
+    if (!collab) {
+      collab = new CollabSession(safePath, await this.app.vault.read(file));
+      collab.requestPersist = obsidian.debounce(() => this.persistCollab(collab), COLLAB_PERSIST_DELAY, true);
+      this.collabSessions.set(safePath, collab);
+    }
+
+    const participant = {
+      clientID: String(msg.data?.clientID || crypto.randomUUID()),
+      user: peerSession.userIdentifier,
+      readOnly: isReadOnly || !this.canWrite(peerSession, safePath),
+      selection: null
+    };
+    collab.participants.set(peerSession, participant);
+
+    sendCallback('COLLAB_JOINED', {
+      path: safePath,
+      version: collab.version,
+      doc: collab.doc.toString(),
+      clientID: participant.clientID,
+      readOnly: participant.readOnly,
+      participants: [...collab.participants.values()].map(({ clientID, user, selection }) => ({ clientID, user, selection }))
+    }, { path: safePath });
+
+    this.broadcastCollab(collab, 'COLLAB_PRESENCE', { clientID: participant.clientID, user: participant.user, selection: null, joined: true }, peerSession);
+  }
+
+  async _handleCollabPush(msg, sendCallback, isReadOnly, peerSession) {
+    if (isReadOnly) {
+      sendCallback('ERROR', { message: 'Read-only mode' });
+      return;
+    }
+    const collab = this.getCollabForPeer(msg, sendCallback, peerSession);
+    if (!collab) return;
+    if (collab.participants.get(peerSession).readOnly) {
+      sendCallback('ERROR', { message: 'Read-only mode' }, { path: collab.path });
+      return;
+    }
+
+    const updates = Array.isArray(msg.data?.updates) ? msg.data.updates : [];
+    const startVersion = collab.version;
+    let accepted;
+    try {
+      accepted = collab.push(Number(msg.data?.version), updates);
+    } catch (err) {
+      sendCallback('ERROR', { message: 'Invalid collaboration update: ' + err.message }, { path: collab.path });
+      return;
+    }
+
+    sendCallback('COLLAB_PUSHED', { path: collab.path, accepted, version: collab.version }, { path: collab.path });
+    if (!accepted || !updates.length) return;
+
+    // Every participant (including the sender) confirms via the broadcast updates
+    this.broadcastCollab(collab, 'COLLAB_UPDATES', { version: startVersion, updates: collab.pull(startVersion) });
+    collab.requestPersist();
+  }
+
+  async _handleCollabPull(msg, sendCallback, isReadOnly, peerSession) {
+    const collab = this.getCollabForPeer(msg, sendCallback, peerSession);
+    if (!collab) return;
+
+    const version = Math.max(0, Math.min(Number(msg.data?.version) || 0, collab.version));
+    sendCallback('COLLAB_UPDATES', { path: collab.path, version, updates: collab.pull(version) }, { path: collab.path });
+  }
+
+  async _handleCollabPresence(msg, sendCallback, isReadOnly, peerSession) {
+    const collab = this.getCollabForPeer(msg, sendCallback, peerSession);
+    if (!collab) return;
+
+    const participant = collab.participants.get(peerSession);
+    participant.selection = msg.data?.selection || null;
+    this.broadcastCollab(collab, 'COLLAB_PRESENCE', {
+      clientID: participant.clientID,
+      user: participant.user,
+      selection: participant.selection
+    }, peerSession);
+  }
+
+  async _handleCollabLeave(msg, sendCallback, isReadOnly, peerSession) {
+    const collab = this.getCollabForPeer(msg, sendCallback, peerSession);
+    if (!collab) return;
+
+    this.leaveCollab(collab, peerSession);
+    sendCallback('COLLAB_LEFT', { path: collab.path }, { path: collab.path });
+  }
+
+  // Resolve the session a COLLAB_* message refers to, requiring the peer to have joined it
+  getCollabForPeer(msg, sendCallback, peerSession) {
+    const collab = this.collabSessions.get(this.sanitizePath(msg.path));
+    if (!collab || !peerSession || !collab.participants.has(peerSession)) {
+      sendCallback('ERROR', { message: 'Not joined to a collaboration session for this file' });
+      return null;
+    }
+    return collab;
+  }
+
+  broadcastCollab(collab, type, data, exceptPeer = null) {
+    collab.participants.forEach((participant, peerSession) => {
+      if (peerSession === exceptPeer) return;
+      peerSession.peer.sendChunked(type, { path: collab.path, ...data }, { path: collab.path });
+    });
+  }
+
+  leaveCollab(collab, peerSession) {
+    const participant = collab.participants.get(peerSession);
+    if (!participant) return;
+
+    collab.participants.delete(peerSession);
+    this.broadcastCollab(collab, 'COLLAB_PRESENCE', { clientID: participant.clientID, user: participant.user, selection: null, left: true });
+
+    // Last one out writes the final state and ends the session
+    if (!collab.participants.size) {
+      collab.requestPersist.cancel();
+      this.persistCollab(collab);
+      this.collabSessions.delete(collab.path);
+    }
+  }
+
+  leaveAllCollab(peerSession) {
+    for (const collab of [...this.collabSessions.values()]) {
+      this.leaveCollab(collab, peerSession);
+    }
+  }
+
+  async persistCollab(collab) {
+    const content = collab.doc.toString();
+    if (content === collab.lastPersisted) return;
+
+    const file = this.app.vault.getAbstractFileByPath(collab.path);
+    if (!(file instanceof obsidian.TFile)) return;
+
+    collab.lastPersisted = content;
+    try {
+      await this.app.vault.modify(file, content);
+    } catch (err) {
+      console.error('Note Relay: Failed to persist collaborative edit', err);
+    }
+  }
+
+  // Outside edits to a note under collaboration become host updates for all participants
+  async onCollabFileModified(file) {
+    const collab = this.collabSessions.get(file.path);
+    if (!collab || !(file instanceof obsidian.TFile)) return;
+
+    const content = await this.app.vault.read(file);
+    if (content === collab.lastPersisted) return; // Our own write echoing back
+
+    collab.lastPersisted = content;
+    const startVersion = collab.version;
+    if (collab.replaceContent(content)) {
+      this.broadcastCollab(collab, 'COLLAB_UPDATES', { version: startVersion, updates: collab.pull(startVersion) });
+    }
+  }
+
+  onCollabFileRenamed(file, oldPath) {
+    const collab = this.collabSessions.get(oldPath);
+    if (!collab) return;
+
+    this.collabSessions.delete(oldPath);
+    collab.path = file.path;
+    this.collabSessions.set(file.path, collab);
+  }
+
+  closeCollabSession(path, reason) {
+    const collab = this.collabSessions.get(path);
+    if (!collab) return;
+
+    collab.requestPersist.cancel();
+    this.broadcastCollab(collab, 'COLLAB_CLOSED', { reason });
+    this.collabSessions.delete(path);
+  }
+
+  async processCommand(msg, sendCallback, isReadOnly = false, peerSession = null) {
+    // Audit: the first reply decides the outcome recorded for this command
+    let outcome = null;
+    if (peerSession && !AUDIT_SKIP_COMMANDS.includes(msg.cmd)) {
+      const reply = sendCallback;
+      sendCallback = (type, data, meta) => {
+        if (!outcome) {
+          outcome = type === 'ERROR'
+            ? { result: data?.code === 'ACCESS_DENIED' ? 'denied' : 'error', detail: data?.message }
+            : { result: type === 'CONFLICT' ? 'conflict' : 'ok' };
+        }
+        return reply(type, data, meta);
+      };
+    }
+
+    try {
+      // Path-scoped ACL: reject before any handler touches the target
+      const denied = this.checkPathAccess(msg, peerSession);
+      if (denied) {
+        sendCallback('ERROR', denied, { path: msg.path });
+        return;
+      }
+
+      if (msg.cmd === 'PING' || msg.cmd === 'HANDSHAKE') {
+        await this._handlePing(msg, sendCallback);
+        return;
+      }
+
+      if (msg.cmd === 'GET_TREE') {
+        await this._handleGetTree(sendCallback, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'GET_RENDERED_FILE') {
+        await this._handleGetRenderedFile(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'SEARCH') {
+        await this._handleSearch(msg, sendCallback, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'GET_FILE') {
+        await this._handleGetFile(msg, sendCallback, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'GET_FILE_RANGE') {
+        await this._handleGetFileRange(msg, sendCallback);
+        return;
+      }
+
+      if (msg.cmd === 'SAVE_FILE') {
+        await this._handleSaveFile(msg, sendCallback, isReadOnly);
+        return;
+      }
+
+      if (msg.cmd === 'PATCH_FILE') {
+        await this._handlePatchFile(msg, sendCallback, isReadOnly);
+        return;
+      }
+
+      if (msg.cmd === 'CREATE_FILE') {
+        await this._handleCreateFile(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'UPLOAD_BEGIN') {
+        await this._handleUploadBegin(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'UPLOAD_CHUNK') {
+        await this._handleUploadChunk(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'UPLOAD_COMMIT') {
+        await this._handleUploadCommit(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'UPLOAD_ABORT') {
+        await this._handleUploadAbort(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'CREATE_FOLDER') {
+        await this._handleCreateFolder(msg, sendCallback, isReadOnly);
+        return;
+      }
+
+      if (msg.cmd === 'RENAME_FILE') {
+        await this._handleRenameFile(msg, sendCallback, isReadOnly);
+        return;
+      }
+
+      if (msg.cmd === 'DELETE_FILE') {
+        await this._handleDeleteFile(msg, sendCallback, isReadOnly);
+        return;
+      }
+
+      if (msg.cmd === 'OPEN_FILE') {
+        await this._handleOpenFile(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'OPEN_DAILY_NOTE') {
+        await this._handleOpenDailyNote(msg, sendCallback, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'COLLAB_JOIN') {
+        await this._handleCollabJoin(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'COLLAB_PUSH') {
+        await this._handleCollabPush(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'COLLAB_PULL') {
+        await this._handleCollabPull(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'COLLAB_PRESENCE') {
+        await this._handleCollabPresence(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+      if (msg.cmd === 'COLLAB_LEAVE') {
+        await this._handleCollabLeave(msg, sendCallback, isReadOnly, peerSession);
+        return;
+      }
+
+    } catch (error) {
+      console.error('Note Relay Command Error:', error);
+      sendCallback('ERROR', { message: error.message });
+    } finally {
+      if (peerSession && !AUDIT_SKIP_COMMANDS.includes(msg.cmd)) {
+        const { result, detail } = outcome || { result: 'ok' };
+        this.auditLog(peerSession.userIdentifier, msg.cmd, msg.path, result, detail);
+      }
+    }
+  }
+
+  // ============================================
+  // ACCESS CONTROL (path-scoped guest rules)
+  // ============================================
+
+  // Policy for an authenticated user; null = unrestricted (owner, or guest without a rule)
+  getAccessPolicy(userIdentifier, isOwner, readOnly) {
+    if (isOwner) return null;
+    const email = (userIdentifier || '').toLowerCase().trim();
+    const rule = (this.settings.guestAccessRules || []).find((r) => (r.email || '').toLowerCase().trim() === email);
+    return rule ? new AccessPolicy(rule, readOnly) : null;
+  }
+
+  // Re-apply guest rules to connected peers after they are edited in settings
+  refreshAccessPolicies() {
+    for (const session of this.peerSessions) {
+      if (session.isAuthenticated) {
+        session.access = this.getAccessPolicy(session.userIdentifier, session.isOwner, session.readOnly);
+      }
+    }
+  }
+
+  // A null peerSession is a local caller and is never restricted
+  canRead(peerSession, path) {
+    if (peerSession && this.isHiddenFrom(peerSession, path)) return false;
+    return !peerSession?.access || peerSession.access.canRead(path);
+  }
+
+  canWrite(peerSession, path) {
+    if (!this.canRead(peerSession, path)) return false;
+    return !peerSession?.access || peerSession.access.canWrite(path);
+  }
+
+  /**
+   * Private notes: matched by a privatePaths glob or flagged `noterelay: private` in frontmatter
+   * Hidden from every remote peer (the owner too when privateAppliesToOwner is set)
+   */
+  isHiddenFrom(peerSession, path) {
+    if (peerSession.isOwner && !this.settings.privateAppliesToOwner) return false;
+
+    if (this.privatePathPatterns === undefined) {
+      this.privatePathPatterns = (this.settings.privatePaths || []).filter((g) => g && g.trim()).map(globToRegExp);
+    }
+    if (this.privatePathPatterns.some((re) => re.test(path))) return true;
+
+    const file = this.app.vault.getAbstractFileByPath(path);
+    if (!(file instanceof obsidian.TFile)) return false;
+    const flag = this.app.metadataCache.getFileCache(file)?.frontmatter?.[PRIVATE_FRONTMATTER_KEY];
+    return typeof flag === 'string' && flag.toLowerCase().trim() === 'private';
+  }
+
+  // Call after privatePaths changes
+  resetPrivatePathPatterns() {
+    this.privatePathPatterns = undefined;
+  }
+
+  // Drop outgoing link texts that resolve to files the peer cannot read
+  filterLinks(links, sourcePath, peerSession) {
+    if (!peerSession) return links;
+    return links.filter((link) => {
+      const target = this.app.metadataCache.getFirstLinkpathDest(obsidian.getLinkpath(link), sourcePath);
+      return !target || this.canRead(peerSession, target.path);
+    });
+  }
+
+  /**
+   * Check the paths a command names against private notes and the peer's ACL
+   * Returns an error payload ({ message, code }), or null if the command may proceed
+   */
+  checkPathAccess(msg, peerSession) {
+    if (!peerSession) return null;
+
+    const READ_COMMANDS = ['GET_RENDERED_FILE', 'GET_FILE', 'GET_FILE_RANGE', 'OPEN_FILE', 'COLLAB_JOIN'];
+    const WRITE_COMMANDS = ['SAVE_FILE', 'PATCH_FILE', 'CREATE_FILE', 'CREATE_FOLDER', 'DELETE_FILE', 'RENAME_FILE'];
+    const path = this.sanitizePath(msg.path);
+
+    const denied = (message) => ({ message: `ACCESS_DENIED: ${message}`, code: 'ACCESS_DENIED' });
+
+    // Private notes are reported as missing so their existence does not leak
+    if (this.isHiddenFrom(peerSession, path)) {
+      return { message: 'File not found', code: 'NOT_FOUND' };
+    }
+
+    if (READ_COMMANDS.includes(msg.cmd) && !this.canRead(peerSession, path)) {
+      return denied(`No read access to ${path}`);
+    }
+
+    if (WRITE_COMMANDS.includes(msg.cmd)) {
+      // Folder operations need write access to everything inside
+      const targets = [path];
+      const existing = this.app.vault.getAbstractFileByPath(path);
+      if (existing instanceof obsidian.TFolder) {
+        obsidian.Vault.recurseChildren(existing, (child) => targets.push(child.path));
+      }
+      if (msg.cmd === 'RENAME_FILE') {
+        const newPath = this.sanitizePath(msg.data?.newPath);
+        targets.push(newPath, ...targets.slice(1).map((p) => newPath + p.slice(path.length)));
+      }
+      // Name only the requested path: a blocked child may be private
+      if (targets.some((p) => !this.canWrite(peerSession, p))) return denied(`No write access to ${path}`);
+    }
+
+    if (msg.cmd === 'UPLOAD_BEGIN' && msg.data?.attachmentFor && !this.canRead(peerSession, this.sanitizePath(msg.data.attachmentFor))) {
+      return { message: 'Note not found', code: 'NOT_FOUND' };
+    }
+
+    return null;
+  }
+
+  // True if some file in the vault is invisible to this peer (private notes or a guest rule)
+  hasRestrictedView(peerSession) {
+    if (!peerSession) return false;
+    if (peerSession.access) return true;
+    if (peerSession.isOwner && !this.settings.privateAppliesToOwner) return false;
+    if ((this.settings.privatePaths || []).some((g) => g && g.trim())) return true;
+    return this.app.vault.getMarkdownFiles().some((file) => this.isHiddenFrom(peerSession, file.path));
+  }
+
+  /**
+   * Filter a note's markdown for a peer before it is rendered (see redactMarkdown):
+   * embeds of unreadable files are dropped and, for restricted peers, query results filtered
+   */
+  async prepareMarkdownForPeer(markdown, sourcePath, peerSession) {
+    if (!peerSession) return markdown;
+
+    return redactMarkdown(markdown, {
+      restricted: this.hasRestrictedView(peerSession),
+      isHidden: (linktext) => {
+        const target = this.app.metadataCache.getFirstLinkpathDest(obsidian.getLinkpath(linktext), sourcePath);
+        return !!target && !this.canRead(peerSession, target.path);
+      },
+      runDataviewQuery: (source) => this.runFilteredDataviewQuery(source, sourcePath, peerSession)
+    });
+  }
+
+  /**
+   * Run a DQL block through the Dataview API and return its result as markdown,
+   * without rows for unreadable files and with links to them replaced
+   */
+  async runFilteredDataviewQuery(source, sourcePath, peerSession) {
+    const api = this.app.plugins?.plugins?.dataview?.api;
+    if (!api?.query) return HIDDEN_QUERY_NOTICE;
+
+    const isLink = (value) => value && typeof value === 'object' && typeof value.path === 'string' && 'embed' in value;
+    const readable = (link) => this.canRead(peerSession, link.path);
+    const scrub = (value) => {
+      if (isLink(value)) return readable(value) ? value : 'Unavailable';
+      if (Array.isArray(value)) return value.map(scrub);
+      if (value && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, scrub(v)]));
+      }
+      return value;
+    };
+    // A row (or list item) belongs to the file in its first cell
+    const rowVisible = (row) => {
+      const head = Array.isArray(row) ? row[0] : row;
+      return !isLink(head) || readable(head);
+    };
+
+    try {
+      const result = await api.query(source, sourcePath);
+      if (!result.successful) return HIDDEN_QUERY_NOTICE;
+
+      const { type, values, headers } = result.value;
+      if (type === 'table') return api.markdownTable(headers, values.filter(rowVisible).map(scrub));
+      if (type === 'list') return api.markdownList(values.filter(rowVisible).map(scrub));
+      if (type === 'task' && api.markdownTaskList) {
+        const tasks = (task) => (task.path && !this.canRead(peerSession, task.path) ? null : task);
+        const visible = (list) => list.map(tasks).filter(Boolean).map((t) => (t.children ? { ...t, children: visible(t.children) } : t));
+        return api.markdownTaskList(visible(values));
+      }
+      return HIDDEN_QUERY_NOTICE;
+    } catch (err) {
+      console.warn('Note Relay: Dataview query failed for remote render:', err);
+      return HIDDEN_QUERY_NOTICE;
+    }
+  }
+
+  /**
+   * Remove rendered embeds and internal links that point at files the peer cannot read
+   * (transclusions would otherwise leak the embedded note's content)
+   */
+  redactRenderedHtml(container, sourcePath, peerSession) {
+    if (!peerSession) return;
+
+    const resolve = (linktext) => this.app.metadataCache.getFirstLinkpathDest(obsidian.getLinkpath(linktext || ''), sourcePath);
+
+    container.querySelectorAll('.internal-embed').forEach((el) => {
+      const target = resolve(el.getAttribute('src'));
+      if (target && !this.canRead(peerSession, target.path)) {
+        el.empty();
+        el.removeAttribute('src');
+        el.addClass('is-unresolved');
+        el.setText('Embedded file unavailable');
+      }
+    });
+
+    // Link text usually names the target (and query results like Dataview list them), so replace it
+    container.querySelectorAll('a.internal-link').forEach((el) => {
+      const target = resolve(el.getAttribute('data-href') || el.getAttribute('href'));
+      if (target && !this.canRead(peerSession, target.path)) {
+        el.replaceWith(createSpan({ cls: 'is-unresolved', text: 'Unavailable' }));
+      }
+    });
+  }
+
+  // ============================================
+  // LIVE VAULT EVENTS (pushed to authenticated peers)
+  // ============================================
+
+  registerVaultEventPush() {
+    const describe = (file) => ({
+      path: file.path,
+      isFolder: !(file instanceof obsidian.TFile),
+      mtime: file.stat?.mtime ?? null
+    });
+
+    this.registerEvent(this.app.vault.on('create', (file) => {
+      this.broadcastVaultEvent('FILE_CREATED', describe(file));
+    }));
+    this.registerEvent(this.app.vault.on('delete', (file) => {
+      this.broadcastVaultEvent('FILE_DELETED', { path: file.path, isFolder: !(file instanceof obsidian.TFile) });
+    }));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+      this.broadcastVaultEvent('FILE_RENAMED', { ...describe(file), oldPath });
+    }));
+
+    // Markdown changes are announced once the metadata cache has re-parsed them,
+    // so the tree entry (tags/links) sent along is already up to date
+    this.registerEvent(this.app.vault.on('modify', (file) => {
+      if (file instanceof obsidian.TFile && file.extension !== 'md') {
+        this.broadcastVaultEvent('FILE_CHANGED', describe(file));
+      }
+    }));
+    this.registerEvent(this.app.metadataCache.on('changed', (file) => {
+      this.broadcastVaultEvent('FILE_CHANGED', { ...describe(file), ...this.buildTreeEntry(file) });
+    }));
+  }
+
+  broadcastVaultEvent(type, data) {
+    const push = (session, event, payload) => {
+      session.peer.sendChunked(event, payload, { path: payload.path }).catch((err) => {
+        console.warn('Note Relay: Could not push vault event to peer', err);
+      });
+    };
+
+    for (const session of this.peerSessions) {
+      if (!session.isAuthenticated) continue;
+
+      let event = type;
+      const visible = this.canRead(session, data.path);
+      if (type === 'FILE_RENAMED') {
+        // Moves across an ACL boundary look like a create or delete to that peer
+        const wasVisible = this.canRead(session, data.oldPath);
+        if (!visible && !wasVisible) continue;
+        if (!visible) {
+          push(session, 'FILE_DELETED', { path: data.oldPath, isFolder: data.isFolder });
+          continue;
+        }
+        if (!wasVisible) event = 'FILE_CREATED';
+      } else if (!visible) {
+        continue;
+      }
+
+      const payload = data.links ? { ...data, links: this.filterLinks(data.links, data.path, session) } : data;
+      push(session, event, payload);
+    }
+  }
+
+  // ============================================
+  // ACTIVE SESSIONS
+  // ============================================
+
+  getActivePeerSessions() {
+    return [...this.peerSessions].filter((session) => session.isAuthenticated);
+  }
+
+  // Status bar reflects every linked peer instead of the most recent one
+  updatePeerStatusBar() {
+    if (!this.statusBar) return;
+    const active = this.getActivePeerSessions();
+
+    if (!active.length) {
+      this.statusBar.setText('Note Relay: Active');
+      this.statusBar.style.color = '';
+    } else if (active.length === 1) {
+      const [session] = active;
+      this.statusBar.setText(`Linked: ${session.sessionName || session.userIdentifier}${session.readOnly ? ' (RO)' : ''}`);
+      this.statusBar.style.color = '#4caf50';
+    } else {
+      this.statusBar.setText(`Linked: ${active.length} peers`);
+      this.statusBar.style.color = '#4caf50';
+    }
+  }
+
+  /**
+   * Host approval for a verified guest (only when requireGuestApproval is on)
+   * Remembered guests pass straight through; "Always allow" remembers the guest
+   */
+  async approveGuest(email, permission, msg, peer) {
+    if (!this.settings.requireGuestApproval || this.settings.approvedGuests.includes(email)) {
+      return true;
+    }
+
+    peer.safeSend({ type: 'AWAITING_APPROVAL', message: 'Waiting for the vault owner to approve this connection…' });
+
+    const decision = await new Promise((resolve) => {
+      new GuestApprovalModal(this.app, {
+        email,
+        permission,
+        device: msg.sessionName || msg.deviceInfo || null
+      }, resolve).open();
+    });
+
+    if (decision === 'always') {
+      this.settings.approvedGuests.push(email);
+      await this.saveSettings();
+    }
+    this.auditLog(email, 'APPROVAL', null, decision ? 'ok' : 'denied', decision || 'declined or timed out');
+    return !!decision;
+  }
+
+  // ============================================
+  // RATE LIMITING & QUOTAS
+  // ============================================
+
+  /**
+   * Returns { reason, retryAfter } if the command must be rejected, else null
+   * Checks (in order): guest daily byte budget, concurrent in-flight commands, per-class token bucket
+   * PING/HANDSHAKE only meet their bucket: the peer has no verified identity yet
+   */
+  checkRateLimit(session, msg) {
+    const cls = RATE_LIMIT_CLASSES[msg.cmd] || 'other';
+
+    if (cls !== 'auth' && !session.isOwner && this.settings.guestDailyByteBudgetMB > 0) {
+      const usage = this.getGuestByteUsage(session.userIdentifier);
+      if (usage.bytes >= this.settings.guestDailyByteBudgetMB * 1024 * 1024) {
+        const midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+        return { reason: 'Daily transfer limit reached', retryAfter: Math.ceil((midnight - Date.now()) / 1000) };
+      }
+    }
+
+    if (cls !== 'stream' && cls !== 'auth' && session.inFlight >= MAX_IN_FLIGHT) {
+      return { reason: 'Too many requests in progress', retryAfter: 1 };
+    }
+
+    if (!session.buckets[cls]) {
+      session.buckets[cls] = new TokenBucket(RATE_LIMITS[cls].capacity, RATE_LIMITS[cls].refillPerSec);
+    }
+    const waitMs = session.buckets[cls].take();
+    if (waitMs > 0) {
+      return { reason: `Too many ${cls} requests`, retryAfter: Math.ceil(waitMs / 1000) };
+    }
+
+    return null;
+  }
+
+  // Per-guest usage for the current local day (shared across that guest's connections)
+  getGuestByteUsage(email) {
+    if (!this.guestByteUsage) this.guestByteUsage = new Map();
+    const today = new Date().toDateString();
+    let usage = this.guestByteUsage.get(email);
+    if (!usage || usage.day !== today) {
+      usage = { day: today, bytes: 0 };
+      this.guestByteUsage.set(email, usage);
+    }
+    return usage;
+  }
+
+  recordGuestBytes(session, bytes) {
+    if (!session.isAuthenticated || session.isOwner) return;
+    this.getGuestByteUsage(session.userIdentifier).bytes += bytes;
+  }
+
+  // Kick a peer: tell it why, then close the connection
+  disconnectPeer(session, reason = 'Disconnected by host') {
+    this.revokeResumeToken(session); // A kicked peer must sign in again
+    session.peer.safeSend({ type: 'ERROR', message: `DISCONNECTED: ${reason}`, code: 'DISCONNECTED' });
+    this.auditLog(session.userIdentifier, 'KICK', null, 'ok', reason);
+    setTimeout(() => session.peer.destroy(), 500);
+  }
+
+  // Downgrade a live peer to read-only without reconnecting
+  setPeerReadOnly(session) {
+    session.forcedReadOnly = true; // Sticky: later PING/HANDSHAKEs cannot restore write access
+    if (session.readOnly) return;
+
+    session.readOnly = true;
+    session.access = this.getAccessPolicy(session.userIdentifier, session.isOwner, true);
+    this.collabSessions.forEach((collab) => {
+      const participant = collab.participants.get(session);
+      if (participant) participant.readOnly = true;
+    });
+    this.abortUploadsForPeer(session);
+
+    session.peer.sendChunked('PERMISSION_CHANGED', { readOnly: true });
+    this.auditLog(session.userIdentifier, 'DOWNGRADE', null, 'ok', 'read-only');
+    this.updatePeerStatusBar();
+  }
+
+  // ============================================
+  // SESSION RESUMPTION & ICE RESTART
+  // ============================================
+
+  // New single-use resumption token for an authenticated session (replaces its previous one)
+  issueResumeToken(session) {
+    if (!this.resumableSessions) this.resumableSessions = new Map();
+    this.revokeResumeToken(session);
+
+    const token = randomBytes(32).toString('base64url');
+    session.resumeTokenHash = createHash('sha256').update(token).digest('hex');
+    // No expiry while connected; a session whose channel already closed gets the grace window straight away
+    const expiresAt = this.peerSessions.has(session) ? null : Date.now() + RESUME_GRACE_PERIOD;
+    this.resumableSessions.set(session.resumeTokenHash, { session, expiresAt });
+    return token;
+  }
+
+  revokeResumeToken(session) {
+    if (session.resumeTokenHash) this.resumableSessions?.delete(session.resumeTokenHash);
+    session.resumeTokenHash = null;
+  }
+
+  // Start the grace window once the connection drops
+  suspendSession(session) {
+    const record = session.resumeTokenHash && this.resumableSessions?.get(session.resumeTokenHash);
+    if (record) record.expiresAt = Date.now() + RESUME_GRACE_PERIOD;
+  }
+
+  // Redeem a token: returns the previous session, or null if unknown, expired or no longer allowed
+  takeResumableSession(token, transport) {
+    if (!this.resumableSessions || typeof token !== 'string') return null;
+
+    const now = Date.now();
+    for (const [hash, record] of this.resumableSessions) {
+      // Sweep records left open-ended by a session that is no longer connected
+      if (record.expiresAt === null && !this.peerSessions.has(record.session)) record.expiresAt = now + RESUME_GRACE_PERIOD;
+      if (record.expiresAt < now) this.resumableSessions.delete(hash);
+    }
+
+    const hash = createHash('sha256').update(token).digest('hex');
+    const record = this.resumableSessions.get(hash);
+    if (!record) return null;
+    this.resumableSessions.delete(hash);
+
+    const previous = record.session;
+    if (previous.transport !== transport) return null;
+    if (previous.lanDevice && !this.settings.lanDevices.some((d) => d.id === previous.lanDevice.id)) return null;
+    return previous;
+  }
+
+  // Carry identity, permission, limits and counters over to the new connection
+  resumeSession(session, previous) {
+    if (previous === session) return; // Re-sent handshake on the same connection
+    session.lanDevice = previous.lanDevice;
+    session.connectedAt = previous.connectedAt; // The maximum session duration keeps counting
+    session.lastCommandAt = Date.now();
+    session.buckets = previous.buckets; // Reconnecting must not refill rate limits
+    session.forcedReadOnly = previous.forcedReadOnly; // A host downgrade survives the reconnect
+    session.guestApproval = previous.guestApproval; // The host is not asked again for the same guest
+    session.bytesSent += previous.bytesSent;
+    session.bytesReceived += previous.bytesReceived;
+
+    // The old connection may not have noticed it is dead yet
+    if (this.peerSessions.has(previous)) {
+      previous.resumedBy = session;
+      previous.peer.destroy();
+    }
+  }
+
+  // Host cannot restart ICE as the answerer; ask the browser to send an iceRestart offer
+  requestIceRestart(session) {
+    if (!this.signaling || Date.now() - session.lastIceRestartRequest < ICE_RESTART_COOLDOWN) return;
+    session.lastIceRestartRequest = Date.now();
+    this.signaling.sendSignal(session.remoteId, 'ice-restart', { iceRestart: true })
+      .catch((err) => console.error('Note Relay: Failed to request ICE restart:', err));
+  }
+
+  // ============================================
+  // LAN DIRECT MODE
+  // ============================================
+
+  /**
+   * Local HTTP + WebSocket server for devices on the same network
+   *   GET  /api/status  - plugin version and capabilities (unauthenticated)
+   *   POST /api/pair    - { code, deviceName } -> { deviceId, deviceToken }
+   *   WS   /ws          - same command protocol as the WebRTC data channel;
+   *                       HANDSHAKE carries deviceToken instead of guestEmail/authHash
+   */
+  startLanServer() {
+    if (this.lanServer) return;
+
+    try {
+      this.createLanServer();
+    } catch (err) {
+      // Never let a LAN failure take the rest of the plugin down
+      console.error('Note Relay: Could not start LAN server:', err);
+      new obsidian.Notice(`Note Relay: LAN server failed to start (${err.message})`);
+      this.stopLanServer();
+    }
+  }
+
+  // Only listed web origins may call the server from a browser page; native clients send no Origin
+  isLanOriginAllowed(origin) {
+    if (!origin) return true;
+    const allowed = this.settings.lanAllowedOrigins.split(',').map((o) => o.trim()).filter(Boolean);
+    return allowed.includes(origin);
+  }
+
+  createLanServer() {
+    const app = express();
+    app.use(cors({ origin: (origin, callback) => callback(null, this.isLanOriginAllowed(origin)) }));
+    app.use((req, res, next) => {
+      // CORS headers alone do not stop a page from sending the request; refuse it outright
+      if (!this.isLanOriginAllowed(req.headers.origin)) {
+        res.status(403).json({ error: 'Origin not allowed' });
+        return;
+      }
+      next();
+    });
+    app.use(express.json({ limit: '16kb' }));
+
+    app.get('/api/status', (req, res) => {
+      res.json({
+        name: 'Note Relay',
+        version: BUILD_VERSION,
+        pluginVersion: this.manifest.version,
+        capabilities: this.getCapabilities()
+      });
+    });
+
+    app.post('/api/pair', async (req, res) => {
+      try {
+        const result = await this.pairLanDevice(req.body?.code, req.body?.deviceName, req.socket.remoteAddress);
+        if (result.error) {
+          res.status(403).json({ error: result.error });
+        } else {
+          res.json(result);
+        }
+      } catch (err) {
+        console.error('Note Relay: LAN pairing failed:', err);
+        res.status(500).json({ error: 'Pairing failed' });
+      }
+    });
+
+    const server = http.createServer(app);
+    const wss = new WebSocketServer({
+      server,
+      path: '/ws',
+      maxPayload: LAN_MAX_MESSAGE_BYTES,
+      verifyClient: ({ origin }) => this.isLanOriginAllowed(origin)
+    });
+    wss.on('connection', (socket, req) => {
+      const peer = new LanPeer(socket);
+      this.attachPeer(peer, `lan:${req.socket.remoteAddress}`, 'lan');
+      peer.emit('connect');
+    });
+
+    server.on('error', (err) => {
+      console.error('Note Relay: LAN server error:', err);
+      new obsidian.Notice(`Note Relay: LAN server failed (${err.code || err.message})`);
+      this.stopLanServer();
+    });
+
+    const { lanBindAddress, lanPort } = this.settings;
+    server.listen(lanPort, lanBindAddress);
+
+    this.lanServer = server;
+    this.lanSocketServer = wss;
+  }
+
+  stopLanServer() {
+    if (this.lanSocketServer) {
+      this.lanSocketServer.clients.forEach((socket) => socket.terminate());
+      this.lanSocketServer.close();
+    }
+    if (this.lanServer) this.lanServer.close();
+    this.lanServer = null;
+    this.lanSocketServer = null;
+  }
+
+  restartLanServer() {
+    this.stopLanServer();
+    if (this.settings.lanEnabled) this.startLanServer();
+  }
+
+  // Addresses other devices can use to reach this computer
+  getLanAddresses() {
+    const { lanBindAddress, lanPort } = this.settings;
+    if (lanBindAddress !== '0.0.0.0') return [`${lanBindAddress}:${lanPort}`];
+
+    return Object.values(os.networkInterfaces())
+      .flat()
+      .filter((iface) => iface && iface.family === 'IPv4' && !iface.internal)
+      .map((iface) => `${iface.address}:${lanPort}`);
+  }
+
+  // Start a pairing window; the code is shown in settings and accepted once
+  createLanPairingCode(readOnly) {
+    const code = String(randomBytes(4).readUInt32BE() % 100000000).padStart(8, '0');
+    this.lanPairing = { code, readOnly, expiresAt: Date.now() + LAN_PAIRING_TTL, attempts: 0 };
+    return this.lanPairing;
+  }
+
+  async pairLanDevice(code, deviceName, address) {
+    const pairing = this.lanPairing;
+    if (!pairing || pairing.expiresAt < Date.now()) {
+      return { error: 'No pairing in progress. Create a pairing code in the Note Relay settings.' };
+    }
+
+    const expected = Buffer.from(pairing.code);
+    const actual = Buffer.from(String(code || ''));
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+      if (++pairing.attempts >= LAN_PAIRING_MAX_ATTEMPTS) this.lanPairing = null;
+      this.auditLog(`lan:${address}`, 'PAIR', null, 'denied', 'Wrong pairing code');
+      return { error: 'Invalid pairing code' };
+    }
+    this.lanPairing = null;
+
+    const deviceToken = randomBytes(32).toString('base64url');
+    const device = {
+      id: crypto.randomUUID(),
+      name: this.uniqueLanDeviceName(deviceName),
+      tokenHash: createHash('sha256').update(deviceToken).digest('hex'),
+      readOnly: pairing.readOnly,
+      pairedAt: Date.now()
+    };
+    this.settings.lanDevices.push(device);
+    await this.saveSettings();
+
+    this.auditLog(`lan:${address}`, 'PAIR', null, 'ok', `${device.name} (${device.readOnly ? 'read-only' : 'read-write'})`);
+    new obsidian.Notice(`Note Relay: Paired ${device.name}`);
+    return { deviceId: device.id, deviceToken };
+  }
+
+  // Device names double as identities (lan:<name>) in audit entries and guest rules, so keep them unique
+  uniqueLanDeviceName(deviceName) {
+    const base = String(deviceName || 'LAN device').trim().slice(0, 64) || 'LAN device';
+    const taken = new Set(this.settings.lanDevices.map((d) => d.name));
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = `${base} (${n})`;
+    return name;
+  }
+
+  findLanDevice(deviceToken) {
+    if (typeof deviceToken !== 'string') return null;
+    const tokenHash = createHash('sha256').update(deviceToken).digest('hex');
+    return this.settings.lanDevices.find((device) => device.tokenHash === tokenHash) || null;
+  }
+
+  // Forget a paired device and drop its live sessions
+  async revokeLanDevice(deviceId) {
+    const device = this.settings.lanDevices.find((d) => d.id === deviceId);
+    if (!device) return;
+
+    this.settings.lanDevices = this.settings.lanDevices.filter((d) => d.id !== deviceId);
+    await this.saveSettings();
+    this.getActivePeerSessions()
+      .filter((session) => session.lanDevice?.id === deviceId)
+      .forEach((session) => this.disconnectPeer(session, 'Device unpaired'));
+    this.auditLog(this.settings.userEmail || 'owner', 'UNPAIR', null, 'ok', device.name);
+  }
+
+  // ============================================
+  // OWNER VERIFICATION
+  // ============================================
+
+  /**
+   * Check a HANDSHAKE ownerToken: ES256 JWT from the server, signed with the key pinned at
+   * registration, addressed to this vault and owner, recent, and not seen before
+   * Returns null when valid, otherwise the denial reason
+   */
+  verifyOwnerToken(token) {
+    if (!token) return 'OWNER_TOKEN_MISSING';
+    if (!this.settings.ownerTokenKey) return 'OWNER_KEY_NOT_PINNED';
+
+    let claims;
+    try {
+      claims = verifyES256Jwt(token, this.settings.ownerTokenKey);
+    } catch (e) {
+      return e.message;
+    }
+
+    const now = Date.now();
+    if (!claims.exp || claims.exp * 1000 + OWNER_TOKEN_CLOCK_SKEW < now) return 'TOKEN_EXPIRED';
+    if (!claims.iat || now - claims.iat * 1000 > OWNER_TOKEN_MAX_AGE + OWNER_TOKEN_CLOCK_SKEW) return 'TOKEN_TOO_OLD';
+    if (claims.aud !== this.settings.vaultId) return 'WRONG_VAULT';
+    if (String(claims.sub || '').toLowerCase().trim() !== this.settings.userEmail.toLowerCase().trim()) return 'WRONG_OWNER';
+
+    // Single use: a token captured in transit cannot open a second session
+    if (!this.usedOwnerTokens) this.usedOwnerTokens = new Map();
+    for (const [jti, expiresAt] of this.usedOwnerTokens) {
+      if (expiresAt < now) this.usedOwnerTokens.delete(jti);
+    }
+    if (!claims.jti) return 'MALFORMED_TOKEN';
+    if (this.usedOwnerTokens.has(claims.jti)) return 'TOKEN_REPLAYED';
+    this.usedOwnerTokens.set(claims.jti, claims.exp * 1000 + OWNER_TOKEN_CLOCK_SKEW);
+
+    return null;
+  }
+
+  // ============================================
+  // END-TO-END ENCRYPTION
+  // ============================================
+
+  // Shared key as a Buffer, or null when app-layer encryption is off
+  getE2EKey() {
+    if (!this.settings.e2eKey) return null;
+    // Decoded once per stored value; answerCall captures it for the lifetime of each connection
+    if (this.e2eKeyCache?.encoded !== this.settings.e2eKey) {
+      const key = Buffer.from(this.settings.e2eKey, 'base64');
+      this.e2eKeyCache = { encoded: this.settings.e2eKey, key: key.length === 32 ? key : null };
+    }
+    return this.e2eKeyCache.key;
+  }
+
+  // Stores a 32-byte key (derived, generated or imported); null turns encryption off
+  async setE2EKey(key) {
+    this.settings.e2eKey = key ? Buffer.from(key).toString('base64') : '';
+    await this.saveSettings();
+    this.auditLog(this.settings.userEmail || 'owner', 'E2E_KEY', null, 'ok', key ? 'updated' : 'disabled');
+  }
+
+  // ============================================
+  // SESSION LIMITS
+  // ============================================
+
+  getSessionLimits(session) {
+    const minutes = session.isOwner ? this.settings.ownerIdleTimeoutMinutes : this.settings.guestIdleTimeoutMinutes;
+    const hours = session.isOwner ? this.settings.ownerMaxSessionHours : this.settings.guestMaxSessionHours;
+    return {
+      idleMs: minutes > 0 ? minutes * 60 * 1000 : 0,
+      lifetimeMs: hours > 0 ? hours * 60 * 60 * 1000 : 0
+    };
+  }
+
+  /**
+   * Warn peers nearing their idle timeout or session lifetime, and drop expired ones
+   * Idle time counts from the last command, so a warned peer stays connected by sending any command
+   */
+  checkSessionExpiry() {
+    const now = Date.now();
+
+    for (const session of this.getActivePeerSessions()) {
+      const { idleMs, lifetimeMs } = this.getSessionLimits(session);
+      const deadlines = [];
+      if (idleMs) deadlines.push({ reason: 'idle', at: session.lastCommandAt + idleMs });
+      if (lifetimeMs) deadlines.push({ reason: 'lifetime', at: session.connectedAt + lifetimeMs });
+      if (!deadlines.length) continue;
+
+      const next = deadlines.reduce((a, b) => (b.at < a.at ? b : a));
+      const remaining = next.at - now;
+
+      if (remaining <= 0) {
+        this.expirePeerSession(session, next.reason);
+      } else if (remaining <= SESSION_EXPIRY_WARNING) {
+        if (session.expiryWarning === next.reason) continue;
+        session.expiryWarning = next.reason;
+        session.peer.safeSend({ type: 'SESSION_EXPIRING', reason: next.reason, expiresIn: Math.ceil(remaining / 1000) });
+      } else {
+        session.expiryWarning = null; // Activity resumed after an idle warning
+      }
+    }
+  }
+
+  expirePeerSession(session, reason) {
+    const detail = reason === 'idle' ? 'Idle timeout' : 'Maximum session duration reached';
+    session.peer.safeSend({ type: 'ERROR', message: `SESSION_EXPIRED: ${detail}`, code: 'SESSION_EXPIRED', reason });
+    this.auditLog(session.userIdentifier, 'EXPIRE', null, 'ok', detail);
+    session.isAuthenticated = false; // Ignore anything the peer sends before the channel closes
+    this.revokeResumeToken(session);
+    setTimeout(() => session.peer.destroy(), 500);
+  }
+
+  answerCall(remoteId, offerSignal) {
+    // With an E2E key, only answer offers whose DTLS fingerprints were signed with it,
+    // so a signaling server that swaps in its own fingerprints cannot sit in the middle
+    const e2eKey = this.getE2EKey();
+    const offerFingerprints = sdpFingerprints(offerSignal?.sdp);
+    if (e2eKey && (!offerFingerprints || !verifyE2EMac(e2eKey, offerSignal.e2eMac, 'offer', offerFingerprints))) {
+      console.warn('Note Relay: Rejected offer without a valid end-to-end signature');
+      this.auditLog('unknown', 'CONNECT', null, 'denied', 'Offer not signed with the end-to-end key');
+      new obsidian.Notice('Note Relay: Rejected a connection that was not signed with your encryption key');
+      return;
+    }
+
+    // ICE restart: a new offer for a live connection renegotiates it in place
+    if (offerSignal?.iceRestart) {
+      const existing = this.findWebRtcSession(remoteId);
+      if (existing && existing.offerFingerprints === offerFingerprints) {
+        existing.peer.signal(offerSignal);
+        return;
+      }
+      // Connection already gone: fall through to a fresh one (the browser resumes with its token)
+    }
+
+    // Configure ICE servers (STUN + TURN if available)
+    const iceServers = this.iceServers || [
+      { urls: 'stun:stun.l.google.com:19302' },
+      { urls: 'stun:stun1.l.google.com:19302' }
+    ];
+
+    // Trickle ICE only when the browser asks for it (offer payload `trickle: true`);
+    // older clients get a single answer carrying every candidate, as before
+    const trickle = offerSignal?.trickle === true;
+
+    const peer = new SimplePeer({
+      initiator: false,
+      trickle,
+      objectMode: false,
+      config: { iceServers }
+    });
+    const session = this.attachPeer(peer, remoteId);
+    session.trickle = trickle;
+    session.offerFingerprints = offerFingerprints;
+
+    // Ask the browser for an ICE restart when the path drops (e.g. Wi-Fi switch)
+    peer.on('iceStateChange', (iceConnectionState) => {
+      if (iceConnectionState === 'disconnected') this.requestIceRestart(session);
+    });
+
+    // Answer first, then one 'candidate' row per local candidate, in discovery order
+    let signalQueue = Promise.resolve();
+    peer.on('signal', (data) => {
+      const type = data.candidate ? 'candidate' : 'answer';
+      if (type === 'answer') {
+        if (e2eKey && data.sdp) {
+          const answerFingerprints = sdpFingerprints(data.sdp);
+          // Renegotiation answers (ICE restart) are signed too, but keep the running cipher
+          if (!session.cipher) session.cipher = createE2ECipher(e2eKey, offerFingerprints, answerFingerprints);
+          data = { ...data, e2eMac: e2eMac(e2eKey, 'answer', offerFingerprints, answerFingerprints) };
+        }
+        if (trickle) data = { ...data, trickle: true }; // Confirms the browser may trickle too
+      }
+
+      signalQueue = signalQueue.then(async () => {
+        try {
+          await this.signaling.sendSignal(remoteId, type, data);
+        } catch (err) {
+          console.error(`Note Relay: Failed to send ${type}:`, err);
+        }
+      });
+    });
+
+    peer.signal(offerSignal);
+
+    // Candidates that arrived before the offer
+    const early = this.earlyCandidates?.get(remoteId);
+    if (early) {
+      this.earlyCandidates.delete(remoteId);
+      if (trickle) early.candidates.forEach((candidate) => peer.signal(candidate));
+    }
+  }
+
+  // Newest live WebRTC session for a browser signaling ID
+  findWebRtcSession(remoteId) {
+    return [...this.peerSessions]
+      .reverse()
+      .find((s) => s.transport === 'webrtc' && s.remoteId === remoteId && !s.peer.destroyed);
+  }
+
+  // Remote trickle ICE candidate from the signaling backend
+  addRemoteCandidate(remoteId, candidate) {
+    const session = this.findWebRtcSession(remoteId);
+
+    if (session) {
+      if (session.trickle) session.peer.signal(candidate);
+      return;
+    }
+
+    // Offer not seen yet: hold the candidate briefly
+    if (!this.earlyCandidates) this.earlyCandidates = new Map();
+    const now = Date.now();
+    for (const [id, entry] of this.earlyCandidates) {
+      if (entry.expiresAt < now) this.earlyCandidates.delete(id);
+    }
+    const entry = this.earlyCandidates.get(remoteId) || { candidates: [], expiresAt: now + EARLY_CANDIDATE_TTL };
+    entry.candidates.push(candidate);
+    this.earlyCandidates.set(remoteId, entry);
+  }
+
+  /**
+   * Session state, send helpers and the command loop for one connected peer
+   * Shared by WebRTC peers and LAN sockets (LanPeer mimics the SimplePeer surface used here)
+   */
+  attachPeer(peer, remoteId, transport = 'webrtc') {
+    // Per-peer state, tracked on the plugin so vault events can reach every peer
+    const session = {
+      peer,
+      remoteId,
+      transport, // 'webrtc' or 'lan'
+      isAuthenticated: false,
+      readOnly: false,
+      forcedReadOnly: false, // Downgraded by the host from the Active Sessions panel
+      guestApproval: null, // { email, approved: Promise<boolean> } - the host's answer for this connection
+      userIdentifier: 'unknown',
+      isOwner: false,
+      binaryFrames: false, // Set at HANDSHAKE if the client advertises binaryFramesV1
+      cipher: null, // App-layer AES-GCM (set when the answer is signed, before the channel opens)
+      trickle: false, // WebRTC peer negotiated trickle ICE
+      offerFingerprints: '', // DTLS fingerprints of the first offer (ICE restarts must keep them)
+      resumeTokenHash: null, // Current session resumption token (SHA-256)
+      resumedBy: null, // Newer session that took this one over
+      lastIceRestartRequest: 0,
+      access: null, // Path-scoped AccessPolicy for guests with a rule (null = whole vault)
+      lanDevice: null, // Paired device record for LAN sessions
+      // Shown in the Active Sessions panel
+      sessionName: null,
+      connectedAt: null,
+      lastActivity: Date.now(),
+      lastCommand: null,
+      lastCommandAt: null, // Idle timeout counts from here
+      expiryWarning: null, // Reason of the SESSION_EXPIRING notice already sent
+      bytesSent: 0,
+      bytesReceived: 0,
+      // Rate limiting
+      buckets: {}, // Command class -> TokenBucket
+      limitedClasses: new Set(), // Classes whose current run of rejections is already in the audit log
+      inFlight: 0
+    };
+    this.peerSessions.add(session);
+
+    peer.safeSend = (data) => {
+      if (peer._channel && peer._channel.readyState === 'open') {
+        try {
+          const json = JSON.stringify(data);
+          peer.send(session.cipher ? session.cipher.seal(json) : json);
+          session.bytesSent += json.length;
+          this.recordGuestBytes(session, json.length);
+        } catch (e) {
+          console.error('Send Fail', e);
+        }
+      }
+    };
+
+    peer.safeSendRaw = (bytes) => {
+      if (peer._channel && peer._channel.readyState === 'open') {
+        try {
+          peer.send(session.cipher ? session.cipher.seal(bytes) : bytes);
+          session.bytesSent += bytes.length;
+          this.recordGuestBytes(session, bytes.length);
+        } catch (e) {
+          console.error('Send Fail', e);
+        }
+      }
+    };
+
+    // Binary payloads go out as raw frames to peers that negotiated binaryFramesV1,
+    // and as base64 strings over the legacy PART protocol to everyone else
+    peer.sendChunked = async (type, data, meta = {}) => {
+      if (!session.isAuthenticated && type !== 'ERROR') return;
+
+      if (isBinaryPayload(data)) {
+        if (session.binaryFrames) {
+          await peer.sendBinary(type, toUint8Array(data), meta);
+          return;
+        }
+        data = Buffer.from(toUint8Array(data)).toString('base64');
+      }
 
       const fullString = JSON.stringify(data);
       const totalBytes = fullString.length;
@@ -1151,21 +3621,61 @@ class NoteRelay extends obsidian.Plugin {
         const chunk = fullString.slice(offset, offset + CHUNK_SIZE);
         offset += CHUNK_SIZE;
         peer.safeSend({ type: 'PART', cat: type, chunk, end: offset >= totalBytes, ...meta });
+        if (!await peer.waitForDrain()) return;
+      }
+    };
+
+    /**
+     * Yield between chunks, pausing while the channel buffer is above the high watermark
+     * Resolves false if the channel is no longer open (the transfer should stop)
+     */
+    peer.waitForDrain = async () => {
+      const channel = peer._channel;
+      if (!channel || channel.readyState !== 'open') return false;
+
+      if (channel.bufferedAmount <= this.settings.sendHighWatermark) {
         // CRITICAL: Use Promise.resolve instead of setTimeout
         // setTimeout is throttled to ~1000ms in background, causing massive delays
         // Promise.resolve yields the event loop without being throttled
         await Promise.resolve();
+        return true;
       }
-    };
 
-    peer.on('signal', async (data) => {
-      await this.supabase.from('signaling').insert({
-        source: 'host',
-        target: remoteId,
-        type: 'answer',
-        payload: data
+      channel.bufferedAmountLowThreshold = this.settings.sendLowWatermark;
+      await new Promise((resolve) => {
+        const done = () => {
+          channel.removeEventListener('bufferedamountlow', done);
+          channel.removeEventListener('close', done);
+          resolve();
+        };
+        channel.addEventListener('bufferedamountlow', done);
+        channel.addEventListener('close', done);
       });
-    });
+      return channel.readyState === 'open';
+    };
+
+    peer.sendBinary = async (type, bytes, meta = {}) => {
+      const id = crypto.randomUUID();
+      let offset = 0;
+      let seq = 0;
+
+      do {
+        // First frame carries the metadata; later frames only what is needed to reassemble
+        const header = seq === 0
+          ? { ...meta, id, cat: type, seq, end: false, size: bytes.length }
+          : { id, seq, end: false };
+        const headerSize = FRAME_HEADER_PREFIX + new TextEncoder().encode(JSON.stringify(header)).length;
+        const payloadSize = Math.max(1, CHUNK_SIZE - headerSize);
+
+        const chunk = bytes.subarray(offset, offset + payloadSize);
+        offset += chunk.length;
+        header.end = offset >= bytes.length;
+
+        peer.safeSendRaw(encodeBinaryFrame(header, chunk));
+        seq++;
+        if (!await peer.waitForDrain()) return;
+      } while (offset < bytes.length);
+    };
 
     peer.on('connect', () => {
       this.statusBar?.setText('Note Relay: Verifying...');
@@ -1177,25 +3687,109 @@ class NoteRelay extends obsidian.Plugin {
     });
 
     peer.on('data', async (raw) => {
+      session.bytesReceived += raw.length;
+      session.lastActivity = Date.now();
+
+      if (session.cipher) {
+        raw = session.cipher.open(raw);
+        if (!raw) {
+          // Unencrypted or tampered traffic: nothing after this point can be trusted
+          this.auditLog(session.userIdentifier, 'CONNECT', null, 'denied', 'Message failed end-to-end authentication');
+          peer.destroy();
+          return;
+        }
+      }
+
       try {
-        const msg = JSON.parse(raw.toString());
+        // Binary frames start with a zero byte (uint32 header length); JSON messages with '{'
+        let msg;
+        if (session.binaryFrames && raw[0] === 0) {
+          const { header, payload } = decodeBinaryFrame(toUint8Array(raw));
+          msg = { ...header, payload };
+        } else {
+          msg = JSON.parse(raw.toString());
+        }
+
+        // Rate limits and quotas sit in front of authentication and the command processor
+        // Returns true if the command was rejected (audited once per run of rejections)
+        const rejectIfRateLimited = () => {
+          const cls = RATE_LIMIT_CLASSES[msg.cmd] || 'other';
+          const limited = this.checkRateLimit(session, msg);
+          if (!limited) {
+            session.limitedClasses.delete(cls);
+            return false;
+          }
+          peer.sendChunked('ERROR', {
+            message: `RATE_LIMITED: ${limited.reason}`,
+            code: 'RATE_LIMITED',
+            retryAfter: limited.retryAfter // Seconds
+          }, msg.requestId !== undefined ? { path: msg.path, requestId: msg.requestId } : { path: msg.path }).catch(() => {}); // Peer may already be gone
+          if (!session.limitedClasses.has(cls)) {
+            session.limitedClasses.add(cls);
+            this.auditLog(session.isAuthenticated ? session.userIdentifier : (msg.guestEmail || 'unknown'), msg.cmd, msg.path || null, 'denied', `Rate limited: ${limited.reason}`);
+          }
+          return true;
+        };
 
         // Handle authentication with ACL
         if (msg.cmd === 'PING' || msg.cmd === 'HANDSHAKE') {
+          if (rejectIfRateLimited()) return;
+
           let accessGranted = false;
           let isReadOnly = false;
+          let isOwner = false;
           let userIdentifier = 'unknown';
 
-          // Email-based authentication - check if owner or guest
-          if (msg.guestEmail && msg.authHash) {
+          const deny = (message, code) => {
+            peer.safeSend({ type: 'ERROR', message, code });
+            setTimeout(() => peer.destroy(), 1000);
+            this.auditLog(msg.guestEmail || 'unknown', 'CONNECT', null, 'denied', message);
+          };
+
+          let resumed = false;
+
+          if (msg.resumeToken) {
+            // Reconnect within the grace window: restore the previous session without re-authenticating
+            const previous = this.takeResumableSession(msg.resumeToken, session.transport);
+            if (!previous) {
+              deny('ACCESS_DENIED: This session can no longer be resumed. Please sign in again.', 'RESUME_REJECTED');
+              return;
+            }
+            this.resumeSession(session, previous);
+            resumed = true;
+            accessGranted = true;
+            isReadOnly = previous.readOnly;
+            userIdentifier = previous.userIdentifier;
+          } else if (session.transport === 'lan') {
+            // LAN direct mode: devices authenticate with the token issued at pairing
+            const device = this.findLanDevice(msg.deviceToken);
+            if (!device) {
+              deny('ACCESS_DENIED: This device is not paired. Pair it from the Note Relay settings.', 'DEVICE_NOT_PAIRED');
+              return;
+            }
+            // Paired devices have their own identity and the guest policy (private notes hidden,
+            // guest rules for "lan:<name>", guest byte budget and session limits), never owner rights
+            session.lanDevice = device;
+            accessGranted = true;
+            isReadOnly = device.readOnly;
+            userIdentifier = `lan:${device.name}`;
+          } else if (msg.guestEmail && msg.authHash) {
+            // Email-based authentication - check if owner or guest
             const userEmail = msg.guestEmail.toLowerCase().trim();
 
             // Check if this is the owner's email
             if (this.settings.userEmail && userEmail === this.settings.userEmail.toLowerCase().trim()) {
-              // Owner authentication (v8.0: OTP validated by server before signaling)
-              // If we received a valid WebRTC connection, the server has already verified OTP
+              // Owner authentication: the email alone proves nothing, so require the
+              // short-lived token the server issues after OTP, signed with the pinned key
+              // (a PING on an already verified owner connection is not re-checked; tokens are single use)
+              const reason = session.isAuthenticated && session.isOwner ? null : this.verifyOwnerToken(msg.ownerToken);
+              if (reason) {
+                deny(`ACCESS_DENIED: Owner verification failed (${reason}).`, reason);
+                return;
+              }
               accessGranted = true;
               isReadOnly = false;
+              isOwner = true;
               userIdentifier = this.settings.userEmail;
             } else {
               // Guest authentication - verify via Supabase RPC
@@ -1208,61 +3802,77 @@ class NoteRelay extends obsidian.Plugin {
 
                 if (error) {
                   console.error('Note Relay: Guest auth RPC error:', error);
-                  peer.safeSend({ type: 'ERROR', message: 'ACCESS_DENIED: Authentication failed.' });
-                  setTimeout(() => peer.destroy(), 1000);
+                  deny('ACCESS_DENIED: Authentication failed.');
                   return;
                 }
 
                 if (data && data.valid) {
+                  // "Ask me first": hold the verified guest until the host approves
+                  // (one prompt per connection and identity; PINGs re-sent meanwhile wait for the same answer)
+                  if (session.guestApproval?.email !== userEmail) {
+                    session.guestApproval = { email: userEmail, approved: this.approveGuest(userEmail, data.permission, msg, peer) };
+                  }
+                  if (!await session.guestApproval.approved) {
+                    deny('ACCESS_DENIED: The vault owner did not approve this connection.');
+                    return;
+                  }
                   accessGranted = true;
                   isReadOnly = data.permission === 'read-only';
                   userIdentifier = userEmail;
                 } else {
-                  peer.safeSend({ type: 'ERROR', message: `ACCESS_DENIED: ${data?.error || 'Invalid credentials'}` });
-                  setTimeout(() => peer.destroy(), 1000);
+                  deny(`ACCESS_DENIED: ${data?.error || 'Invalid credentials'}`);
                   return;
                 }
               } catch (rpcError) {
                 console.error('Note Relay: Guest auth exception:', rpcError);
-                peer.safeSend({ type: 'ERROR', message: 'ACCESS_DENIED: Authentication service unavailable.' });
-                setTimeout(() => peer.destroy(), 1000);
+                deny('ACCESS_DENIED: Authentication service unavailable.');
                 return;
               }
             }
           }
 
           if (accessGranted) {
-            isAuthenticated = true;
-            peerReadOnly = isReadOnly;
-            this.statusBar?.setText(`Linked: ${msg.sessionName || userIdentifier}${isReadOnly ? ' (RO)' : ''}`);
-            if (this.statusBar) this.statusBar.style.color = '#4caf50';
+            isReadOnly = isReadOnly || session.forcedReadOnly;
+            session.isAuthenticated = true;
+            session.readOnly = isReadOnly;
+            session.userIdentifier = userIdentifier;
+            session.isOwner = isOwner;
+            session.access = this.getAccessPolicy(userIdentifier, session.isOwner, isReadOnly);
+            session.binaryFrames = !!msg.capabilities?.binaryFramesV1;
+            session.sessionName = msg.sessionName || session.lanDevice?.name || null;
+            // Re-sent handshakes (PING) must not extend the session lifetime
+            if (!session.connectedAt) session.connectedAt = session.lastCommandAt = Date.now();
+            this.updatePeerStatusBar();
             peer.safeSend({
               type: msg.cmd === 'PING' ? 'PONG' : 'HANDSHAKE_ACK',
               version: BUILD_VERSION,
               pluginVersion: this.manifest.version,
-              capabilities: {
-                themeHashV1: true  // GUI can rely on cssHash being provided for Step 7 theming
-              },
+              capabilities: this.getCapabilities(),
               readOnly: isReadOnly,
+              binaryFrames: session.binaryFrames, // Agreed framing for binary payloads
+              e2e: !!session.cipher,
+              resumeToken: this.issueResumeToken(session), // Single use; valid until RESUME_GRACE_PERIOD after a drop
+              resumeGraceSeconds: RESUME_GRACE_PERIOD / 1000,
               styles: []
             });
 
             // Audit log the connection
+            this.auditLog(userIdentifier, resumed ? 'RESUME' : 'CONNECT', null, 'ok', isReadOnly ? 'read-only' : 'read-write');
           } else {
-            peer.safeSend({ type: 'ERROR', message: 'ACCESS_DENIED: Invalid credentials or not authorized' });
-            setTimeout(() => peer.destroy(), 1000);
+            deny('ACCESS_DENIED: Invalid credentials or not authorized');
           }
           return;
         }
 
-        if (!isAuthenticated) return;
+        if (!session.isAuthenticated) return;
 
         // Block write commands if in read-only mode
         // Block write commands if in read-only mode
         // FIXED: Updated to match actual command names
-        const writeCommands = ['CREATE_FILE', 'SAVE_FILE', 'DELETE_FILE', 'RENAME_FILE', 'CREATE_FOLDER'];
-        if (peerReadOnly && writeCommands.includes(msg.cmd)) {
+        const writeCommands = ['CREATE_FILE', 'SAVE_FILE', 'PATCH_FILE', 'DELETE_FILE', 'RENAME_FILE', 'CREATE_FOLDER', 'COLLAB_PUSH', 'UPLOAD_BEGIN', 'UPLOAD_CHUNK', 'UPLOAD_COMMIT'];
+        if (session.readOnly && writeCommands.includes(msg.cmd)) {
           peer.safeSend({ type: 'ERROR', message: 'READ-ONLY MODE: Editing is disabled' });
+          this.auditLog(session.userIdentifier, msg.cmd, msg.path, 'denied', 'Read-only mode');
           return;
         }
 
@@ -1275,10 +3885,21 @@ class NoteRelay extends obsidian.Plugin {
           return peer.sendChunked(type, data, metaWithRequestId);
         };
 
-        // Use unified command processor with WebRTC send callback
-        // Use unified command processor with WebRTC send callback
-        // PASS READ-ONLY STATUS
-        await this.processCommand(msg, wrappedSendCallback, peerReadOnly);
+        session.lastCommand = msg.cmd;
+        session.lastCommandAt = Date.now();
+
+        if (rejectIfRateLimited()) return;
+
+        const tracked = RATE_LIMIT_CLASSES[msg.cmd] !== 'stream';
+        if (tracked) session.inFlight++;
+        try {
+          // Use unified command processor with WebRTC send callback
+          // Use unified command processor with WebRTC send callback
+          // PASS READ-ONLY STATUS
+          await this.processCommand(msg, wrappedSendCallback, session.readOnly, session);
+        } finally {
+          if (tracked) session.inFlight--;
+        }
 
       } catch (e) {
         console.error('Note Relay Error', e);
@@ -1286,9 +3907,17 @@ class NoteRelay extends obsidian.Plugin {
     });
 
     peer.on('close', () => {
+      this.peerSessions.delete(session);
+      this.leaveAllCollab(session);
+      this.abortUploadsForPeer(session);
+      this.updatePeerStatusBar();
+      if (session.resumedBy) return; // Replaced by a resumed connection; not a real disconnect
+
+      if (session.isAuthenticated) {
+        this.suspendSession(session);
+        this.auditLog(session.userIdentifier, 'DISCONNECT', null, 'ok');
+      }
       new obsidian.Notice('Client Disconnected');
-      this.statusBar?.setText('Note Relay: Active');
-      if (this.statusBar) this.statusBar.style.color = '';
 
       // Record WebRTC session end
       if (false /* analytics removed */) {
@@ -1304,7 +3933,7 @@ class NoteRelay extends obsidian.Plugin {
       }
     });
 
-    peer.signal(offerSignal);
+    return session;
   }
 
   async waitForRender(element) {
@@ -1350,7 +3979,7 @@ class NoteRelay extends obsidian.Plugin {
 
   async checkConnectionHealth() {
     // Check if signaling connection is still alive
-    if (!this.supabase || !this.settings.userEmail) {
+    if (!this.signaling || !this.settings.userEmail) {
       return;
     }
 
@@ -1376,10 +4005,17 @@ class NoteRelay extends obsidian.Plugin {
     // Disconnect existing connection if any
     this.disconnectSignaling();
 
+    // Self-hosted signaling needs no Supabase credentials (guest OTP checks then fail closed)
+    const selfHosted = this.settings.signalingTransport === 'websocket';
+    if (selfHosted && !this.settings.signalingUrl) {
+      new obsidian.Notice('Note Relay: Set a signaling server URL in the advanced settings');
+      return;
+    }
+
     // Load Supabase credentials dynamically from API (no hardcoded keys)
-    if (!SUPABASE_URL || !SUPABASE_KEY) {
+    if (!selfHosted && (!SUPABASE_URL || !SUPABASE_KEY)) {
       try {
-        const initResponse = await fetch(`${API_BASE_URL}/api/plugin-init`, {
+        const initResponse = await fetch(this.getEndpoint('pluginInit'), {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json'
@@ -1410,7 +4046,7 @@ class NoteRelay extends obsidian.Plugin {
     }
 
     // Reuse existing supabase client or create new one (avoids Multiple GoTrueClient warning)
-    if (!this.supabase) {
+    if (!selfHosted && !this.supabase) {
       this.supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
     }
 
@@ -1432,18 +4068,24 @@ class NoteRelay extends obsidian.Plugin {
     }
 
 
-    this.channel = this.supabase.channel('host-channel')
-      .on(
-        'postgres_changes',
-        { event: 'INSERT', schema: 'public', table: 'signaling', filter: `target=eq.${ID}` },
-        (payload) => {
-          if (payload.new.type === 'offer') {
-            new obsidian.Notice(`Incoming Connection...`);
-            this.answerCall(payload.new.source, payload.new.payload);
-          }
+    this.signaling = selfHosted
+      ? new WebSocketSignalingTransport(this.settings.signalingUrl)
+      : new SupabaseSignalingTransport(this.supabase);
+
+    try {
+      this.signaling.subscribe(ID, (signal) => {
+        if (signal.type === 'offer') {
+          new obsidian.Notice(`Incoming Connection...`);
+          this.answerCall(signal.source, signal.payload);
+        } else if (signal.type === 'candidate') {
+          this.addRemoteCandidate(signal.source, signal.payload);
         }
-      )
-      .subscribe();
+      });
+    } catch (err) {
+      console.error('Note Relay: Signaling subscription failed:', err);
+      new obsidian.Notice('Note Relay: Could not connect to the signaling server');
+      this.signaling = null;
+    }
   }
 
   extractThemeCSS() {
@@ -1647,10 +4289,71 @@ class NoteRelay extends obsidian.Plugin {
 
   /**
    * Zero-Knowledge Audit Log
+   * Appends one JSON line per entry to the plugin folder (never uploaded); rotated by size
    * @param {string} userIdentifier - Email or userId of accessor
-   * @param {string} action - Action performed (READ, WRITE, DELETE, etc.)
+   * @param {string} action - Command or event (GET_FILE, SAVE_FILE, CONNECT, etc.)
    * @param {string} target - File path or resource accessed
+   * @param {string} result - ok | error | denied | conflict
+   * @param {string} [detail] - Error message or extra context
    */
+  auditLog(userIdentifier, action, target, result, detail) {
+    if (!this.settings.auditLogEnabled) return;
+
+    const entry = { ts: new Date().toISOString(), user: userIdentifier || 'unknown', action, path: target || null, result };
+    if (detail) entry.detail = detail;
+    const line = JSON.stringify(entry) + '\n';
+
+    // Serialize writes so rotation and appends never interleave
+    this.auditQueue = (this.auditQueue || Promise.resolve()).then(async () => {
+      const adapter = this.app.vault.adapter;
+      const path = this.getAuditLogPath(0);
+      const stat = await adapter.stat(path);
+      if (stat && stat.size + line.length > AUDIT_LOG_MAX_BYTES) {
+        await this.rotateAuditLog();
+      }
+      await adapter.append(path, line);
+    }).catch((err) => {
+      console.error('Note Relay: Audit log write failed', err);
+    });
+    return this.auditQueue;
+  }
+
+  // Index 0 is the active file; 1..AUDIT_LOG_MAX_FILES are older generations
+  getAuditLogPath(index) {
+    const name = index === 0 ? AUDIT_LOG_FILE : AUDIT_LOG_FILE.replace(/\.jsonl$/, `.${index}.jsonl`);
+    return obsidian.normalizePath(`${this.manifest.dir}/${name}`);
+  }
+
+  async rotateAuditLog() {
+    const adapter = this.app.vault.adapter;
+    const oldest = this.getAuditLogPath(AUDIT_LOG_MAX_FILES);
+    if (await adapter.exists(oldest)) await adapter.remove(oldest);
+
+    for (let i = AUDIT_LOG_MAX_FILES - 1; i >= 0; i--) {
+      const from = this.getAuditLogPath(i);
+      if (await adapter.exists(from)) await adapter.rename(from, this.getAuditLogPath(i + 1));
+    }
+  }
+
+  // All retained entries, oldest first
+  async readAuditLog() {
+    await this.auditQueue;
+    const adapter = this.app.vault.adapter;
+    const entries = [];
+    for (let i = AUDIT_LOG_MAX_FILES; i >= 0; i--) {
+      const path = this.getAuditLogPath(i);
+      if (!(await adapter.exists(path))) continue;
+      (await adapter.read(path)).split('\n').forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (e) {
+          // Skip a partially written line
+        }
+      });
+    }
+    return entries;
+  }
 }
 
 class NoteRelaySettingTab extends obsidian.PluginSettingTab {
@@ -1716,7 +4419,7 @@ class NoteRelaySettingTab extends obsidian.PluginSettingTab {
               this.plugin.disconnectSignaling();
             }
             // Open browser for re-verification
-            const url = `https://noterelay.io/plugin-auth?vaultId=${encodeURIComponent(this.plugin.settings.vaultId)}&vaultName=${encodeURIComponent(this.plugin.app.vault.getName())}`;
+            const url = this.plugin.getEndpoint('pluginAuth', { vaultId: this.plugin.settings.vaultId, vaultName: this.plugin.app.vault.getName() });
             window.open(url);
             new obsidian.Notice('🔐 Complete verification in your browser, then return here.');
           }))
@@ -1749,7 +4452,7 @@ class NoteRelaySettingTab extends obsidian.PluginSettingTab {
           .setCta()
           .onClick(() => {
             // Open browser for OAuth verification
-            const url = `https://noterelay.io/plugin-auth?vaultId=${encodeURIComponent(this.plugin.settings.vaultId)}&vaultName=${encodeURIComponent(this.plugin.app.vault.getName())}`;
+            const url = this.plugin.getEndpoint('pluginAuth', { vaultId: this.plugin.settings.vaultId, vaultName: this.plugin.app.vault.getName() });
             window.open(url);
             new obsidian.Notice('🔐 Complete verification in your browser, then return here.');
           }));
@@ -1789,12 +4492,547 @@ class NoteRelaySettingTab extends obsidian.PluginSettingTab {
     if (this.plugin.isConnected) {
       const statusDiv = containerEl.createDiv();
       statusDiv.style.cssText = 'padding: 20px; margin-top: 20px; background: rgba(76,175,80,0.1); border-radius: 6px; border-left: 3px solid #4caf50;';
-      statusDiv.innerHTML = `
-        <h4 style="margin-top: 0; color: #4caf50;">✅ Note Relay is Active</h4>
-        <div style="margin-top: 10px;"><strong>Remote:</strong> Go to <a href="https://noterelay.io/dashboard" target="_blank">noterelay.io/dashboard</a></div>
-        <div style="margin-top: 10px; font-size: 0.9em; color: var(--text-muted);">Signal ID: ${this.plugin.signalId ? this.plugin.signalId.slice(0, 8) + '...' : 'Connecting...'}</div>
-      `;
+      statusDiv.createEl('h4', { text: '✅ Note Relay is Active', attr: { style: 'margin-top: 0; color: #4caf50;' } });
+
+      // Built with DOM nodes: the dashboard URL comes from user-editable settings
+      const dashboardUrl = this.plugin.getEndpoint('dashboard');
+      const remoteLine = statusDiv.createDiv({ attr: { style: 'margin-top: 10px;' } });
+      remoteLine.createEl('strong', { text: 'Remote:' });
+      remoteLine.appendText(' Go to ');
+      if (/^https?:\/\//i.test(dashboardUrl)) {
+        remoteLine.createEl('a', { href: dashboardUrl, text: dashboardUrl.replace(/^https?:\/\//i, ''), attr: { target: '_blank' } });
+      } else {
+        remoteLine.appendText(dashboardUrl);
+      }
+
+      statusDiv.createDiv({
+        text: `Signal ID: ${this.plugin.signalId ? this.plugin.signalId.slice(0, 8) + '...' : 'Connecting...'}`,
+        attr: { style: 'margin-top: 10px; font-size: 0.9em; color: var(--text-muted);' }
+      });
+    }
+
+    // LAN direct mode
+    containerEl.createEl('h3', { text: '📡 LAN Direct Mode' });
+    containerEl.createEl('p', {
+      text: 'Serve this vault directly to paired devices on your local network, without the Note Relay cloud. Paired devices are treated like guests: private notes stay hidden, and guest access rules apply to "lan:<device name>". Traffic on the local network is not encrypted (end-to-end encryption does not cover it), so only enable this on networks you trust.',
+      cls: 'setting-item-description'
+    });
+
+    new obsidian.Setting(containerEl)
+      .setName('Enable LAN server')
+      .setDesc(this.plugin.lanServer ? `Listening on ${this.plugin.getLanAddresses().join(', ') || 'no network interfaces'}` : 'Not running')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.lanEnabled)
+        .onChange(async (value) => {
+          this.plugin.settings.lanEnabled = value;
+          await this.plugin.saveSettings();
+          this.plugin.restartLanServer();
+          setTimeout(() => this.display(), 300); // Let the server bind before showing addresses
+        }));
+
+    new obsidian.Setting(containerEl)
+      .setName('Interface and port')
+      .setDesc('Address to listen on and TCP port. The default 127.0.0.1 only accepts this computer; enter this computer\'s LAN address (or 0.0.0.0 for all interfaces) so other devices can connect. Applied on restart.')
+      .addText(text => text
+        .setValue(this.plugin.settings.lanBindAddress)
+        .onChange(async (value) => {
+          this.plugin.settings.lanBindAddress = value.trim() || DEFAULT_SETTINGS.lanBindAddress;
+          await this.plugin.saveSettings();
+        }))
+      .addText(text => text
+        .setValue(String(this.plugin.settings.lanPort))
+        .onChange(async (value) => {
+          const port = parseInt(value, 10);
+          if (!port || port < 1 || port > 65535) return;
+          this.plugin.settings.lanPort = port;
+          await this.plugin.saveSettings();
+        }))
+      .addButton(btn => btn
+        .setButtonText('Restart')
+        .setDisabled(!this.plugin.settings.lanEnabled)
+        .onClick(() => {
+          this.plugin.restartLanServer();
+          setTimeout(() => this.display(), 300);
+        }));
+
+    new obsidian.Setting(containerEl)
+      .setName('Allowed web origins')
+      .setDesc('Browser pages allowed to talk to the LAN server, comma-separated (e.g. http://192.168.1.10:3000). Leave empty to allow only apps that are not web pages.')
+      .addText(text => text
+        .setValue(this.plugin.settings.lanAllowedOrigins)
+        .onChange(async (value) => {
+          this.plugin.settings.lanAllowedOrigins = value;
+          await this.plugin.saveSettings();
+        }));
+
+    let pairReadOnly = false;
+    const pairSetting = new obsidian.Setting(containerEl)
+      .setName('Pair a device')
+      .setDesc('Creates a one-time code to enter on the other device. Valid for 5 minutes.')
+      .addDropdown(dropdown => dropdown
+        .addOptions({ rw: 'Read & write', ro: 'Read-only' })
+        .onChange((value) => { pairReadOnly = value === 'ro'; }))
+      .addButton(btn => btn
+        .setButtonText('Show code')
+        .setDisabled(!this.plugin.lanServer)
+        .onClick(() => {
+          const { code, expiresAt } = this.plugin.createLanPairingCode(pairReadOnly);
+          pairSetting.setDesc(`Pairing code: ${code.slice(0, 4)} ${code.slice(4)} (expires ${new Date(expiresAt).toLocaleTimeString()})`);
+        }));
+
+    this.plugin.settings.lanDevices.forEach((device) => {
+      new obsidian.Setting(containerEl)
+        .setName(device.name)
+        .setDesc(`${device.readOnly ? 'Read-only' : 'Read & write'} · paired ${new Date(device.pairedAt).toLocaleDateString()}`)
+        .addButton(btn => btn
+          .setButtonText('Unpair')
+          .setWarning()
+          .onClick(async () => {
+            await this.plugin.revokeLanDevice(device.id);
+            this.display();
+          }));
+    });
+
+    // Private notes (never exposed remotely)
+    containerEl.createEl('h3', { text: '🙈 Private Notes' });
+
+    new obsidian.Setting(containerEl)
+      .setName('Private paths')
+      .setDesc(`Notes and folders matching these globs (one per line, e.g. Journal/**) are invisible to remote sessions. You can also add "${PRIVATE_FRONTMATTER_KEY}: private" to a note's frontmatter.`)
+      .addTextArea(text => text
+        .setPlaceholder('Journal/**')
+        .setValue((this.plugin.settings.privatePaths || []).join('\n'))
+        .onChange(async (value) => {
+          this.plugin.settings.privatePaths = value.split('\n').map((g) => g.trim()).filter(Boolean);
+          this.plugin.resetPrivatePathPatterns();
+          await this.plugin.saveSettings();
+        }));
+
+    new obsidian.Setting(containerEl)
+      .setName('Hide from my own sessions')
+      .setDesc('Also hide private notes when you open this vault remotely with your own account.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.privateAppliesToOwner)
+        .onChange(async (value) => {
+          this.plugin.settings.privateAppliesToOwner = value;
+          await this.plugin.saveSettings();
+        }));
+
+    // End-to-end encryption on top of DTLS
+    containerEl.createEl('h3', { text: '🔑 End-to-End Encryption' });
+    containerEl.createEl('p', {
+      text: 'Adds a second layer of encryption that the relay and signaling servers cannot read or tamper with. Browsers must be given the same passphrase or key, and connections without it are refused.',
+      cls: 'setting-item-description'
+    });
+
+    const e2eEnabled = !!this.plugin.getE2EKey();
+    let passphrase = '';
+    new obsidian.Setting(containerEl)
+      .setName('Vault passphrase')
+      .setDesc(e2eEnabled ? 'Status: ON. Setting a new passphrase replaces the current key.' : 'Status: OFF. Enter a passphrase to turn on end-to-end encryption.')
+      .addText(text => {
+        text.inputEl.type = 'password';
+        text.setPlaceholder('Passphrase').onChange((value) => { passphrase = value; });
+      })
+      .addButton(btn => btn
+        .setButtonText('Set')
+        .onClick(async () => {
+          if (passphrase.length < 8) {
+            new obsidian.Notice('Passphrase must be at least 8 characters');
+            return;
+          }
+          btn.setDisabled(true).setButtonText('Deriving…');
+          try {
+            await this.plugin.setE2EKey(await deriveE2EKey(passphrase, this.plugin.settings.vaultId));
+          } catch (err) {
+            new obsidian.Notice(`Could not derive key: ${err.message}`);
+            btn.setDisabled(false).setButtonText('Set');
+            return;
+          }
+          new obsidian.Notice('End-to-end encryption enabled');
+          this.display();
+        }));
+
+    let importedKey = '';
+    new obsidian.Setting(containerEl)
+      .setName('Encryption key')
+      .setDesc('Or use a random key shared out-of-band (base64). Copy it to your browsers after generating.')
+      .addText(text => text
+        .setPlaceholder('Paste key to import')
+        .onChange((value) => { importedKey = value.trim(); }))
+      .addButton(btn => btn
+        .setButtonText('Import')
+        .onClick(async () => {
+          const key = Buffer.from(importedKey, 'base64');
+          if (key.length !== 32) {
+            new obsidian.Notice('Invalid key: expected 32 bytes in base64');
+            return;
+          }
+          await this.plugin.setE2EKey(key);
+          new obsidian.Notice('End-to-end encryption enabled');
+          this.display();
+        }))
+      .addButton(btn => btn
+        .setButtonText('Generate')
+        .onClick(async () => {
+          await this.plugin.setE2EKey(randomBytes(32));
+          await navigator.clipboard.writeText(this.plugin.settings.e2eKey);
+          new obsidian.Notice('New key generated and copied to clipboard');
+          this.display();
+        }))
+      .addButton(btn => btn
+        .setButtonText('Copy')
+        .setDisabled(!e2eEnabled)
+        .onClick(async () => {
+          await navigator.clipboard.writeText(this.plugin.settings.e2eKey);
+          new obsidian.Notice('Key copied to clipboard');
+        }))
+      .addButton(btn => btn
+        .setButtonText('Turn off')
+        .setWarning()
+        .setDisabled(!e2eEnabled)
+        .onClick(async () => {
+          await this.plugin.setE2EKey(null);
+          new obsidian.Notice('End-to-end encryption disabled');
+          this.display();
+        }));
+
+    // Guest approval ("ask me first")
+    containerEl.createEl('h3', { text: '🛂 Guest Approval' });
+
+    new obsidian.Setting(containerEl)
+      .setName('Ask me before guests connect')
+      .setDesc(`Show a prompt in Obsidian when a guest connects. Unanswered prompts are denied after ${GUEST_APPROVAL_TIMEOUT / 1000} seconds.`)
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.requireGuestApproval)
+        .onChange(async (value) => {
+          this.plugin.settings.requireGuestApproval = value;
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+
+    if (this.plugin.settings.requireGuestApproval) {
+      this.plugin.settings.approvedGuests.forEach((email, index) => {
+        new obsidian.Setting(containerEl)
+          .setName(email)
+          .setDesc('Always allowed')
+          .addButton(btn => btn
+            .setButtonText('Forget')
+            .onClick(async () => {
+              this.plugin.settings.approvedGuests.splice(index, 1);
+              await this.plugin.saveSettings();
+              this.display();
+            }));
+      });
+    }
+
+    // Guest access rules (path-scoped ACL)
+    containerEl.createEl('h3', { text: '👥 Guest Access Rules' });
+    containerEl.createEl('p', {
+      text: 'Limit what individual guests can see and edit. One glob per line (e.g. Projects/ClientX/**). Empty allow lists mean the whole vault; deny always wins. Guests without a rule keep vault-wide access.',
+      cls: 'setting-item-description'
+    });
+
+    const saveRules = async () => {
+      await this.plugin.saveSettings();
+      this.plugin.refreshAccessPolicies();
+    };
+    const toGlobs = (value) => value.split('\n').map((g) => g.trim()).filter(Boolean);
+
+    this.plugin.settings.guestAccessRules.forEach((rule, index) => {
+      new obsidian.Setting(containerEl)
+        .setName(rule.email)
+        .setHeading()
+        .addButton(btn => btn
+          .setButtonText('Remove')
+          .setWarning()
+          .onClick(async () => {
+            this.plugin.settings.guestAccessRules.splice(index, 1);
+            await saveRules();
+            this.display();
+          }));
+
+      [
+        ['readAllow', 'Can read', 'Paths this guest may see'],
+        ['readDeny', 'Hidden', 'Paths hidden even if allowed above'],
+        ['writeAllow', 'Can edit', 'Paths this guest may change (within readable paths)'],
+        ['writeDeny', 'Never edit', 'Paths that stay read-only for this guest']
+      ].forEach(([key, name, desc]) => {
+        new obsidian.Setting(containerEl)
+          .setName(name)
+          .setDesc(desc)
+          .addTextArea(text => text
+            .setPlaceholder('Folder/**')
+            .setValue((rule[key] || []).join('\n'))
+            .onChange(async (value) => {
+              rule[key] = toGlobs(value);
+              await saveRules();
+            }));
+      });
+    });
+
+    let newGuestEmail = '';
+    new obsidian.Setting(containerEl)
+      .setName('Add guest rule')
+      .setDesc('Guest email address as used for their invitation')
+      .addText(text => text
+        .setPlaceholder('guest@example.com')
+        .onChange((value) => { newGuestEmail = value.trim().toLowerCase(); }))
+      .addButton(btn => btn
+        .setButtonText('Add')
+        .onClick(async () => {
+          if (!newGuestEmail || this.plugin.settings.guestAccessRules.some((r) => r.email === newGuestEmail)) return;
+          this.plugin.settings.guestAccessRules.push({ email: newGuestEmail, readAllow: [], readDeny: [], writeAllow: [], writeDeny: [] });
+          await saveRules();
+          this.display();
+        }));
+
+    new obsidian.Setting(containerEl)
+      .setName('Guest daily transfer limit (MB)')
+      .setDesc('Maximum data each guest can download per day. 0 means unlimited.')
+      .addText(text => text
+        .setValue(String(this.plugin.settings.guestDailyByteBudgetMB))
+        .onChange(async (value) => {
+          const mb = parseInt(value, 10);
+          if (isNaN(mb) || mb < 0) return;
+          this.plugin.settings.guestDailyByteBudgetMB = mb;
+          await this.plugin.saveSettings();
+        }));
+
+    // Session limits
+    containerEl.createEl('h3', { text: '⏱️ Session Limits' });
+    containerEl.createEl('p', {
+      text: 'Connected browsers are warned a minute before they are disconnected. Idle time counts from the last command. Use 0 for no limit.',
+      cls: 'setting-item-description'
+    });
+
+    [
+      ['ownerIdleTimeoutMinutes', 'Owner idle timeout (minutes)'],
+      ['ownerMaxSessionHours', 'Owner maximum session (hours)'],
+      ['guestIdleTimeoutMinutes', 'Guest idle timeout (minutes)'],
+      ['guestMaxSessionHours', 'Guest maximum session (hours)']
+    ].forEach(([key, name]) => {
+      new obsidian.Setting(containerEl)
+        .setName(name)
+        .addText(text => text
+          .setValue(String(this.plugin.settings[key]))
+          .onChange(async (value) => {
+            const limit = parseInt(value, 10);
+            if (isNaN(limit) || limit < 0) return;
+            this.plugin.settings[key] = limit;
+            await this.plugin.saveSettings();
+          }));
+    });
+
+    // Audit log viewer
+    containerEl.createEl('h3', { text: '📜 Audit Log' });
+
+    new obsidian.Setting(containerEl)
+      .setName('Record remote access')
+      .setDesc('Keep a local log of every command run by connected browsers (who, what, which file, result). Stored only in this vault\'s plugin folder.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.auditLogEnabled)
+        .onChange(async (value) => {
+          this.plugin.settings.auditLogEnabled = value;
+          await this.plugin.saveSettings();
+        }));
+
+    this.displayAuditLog(containerEl);
+
+    // Advanced: transfer tuning
+    containerEl.createEl('h3', { text: '⚙️ Advanced' });
+
+    new obsidian.Setting(containerEl)
+      .setName('Send buffer high watermark (KB)')
+      .setDesc('Transfers pause when this much data is queued on a connection. Lower it if large attachments stall over slow relays.')
+      .addText(text => text
+        .setValue(String(this.plugin.settings.sendHighWatermark / 1024))
+        .onChange(async (value) => {
+          const kb = parseInt(value, 10);
+          if (!kb || kb <= this.plugin.settings.sendLowWatermark / 1024) return;
+          this.plugin.settings.sendHighWatermark = kb * 1024;
+          await this.plugin.saveSettings();
+        }));
+
+    new obsidian.Setting(containerEl)
+      .setName('Send buffer low watermark (KB)')
+      .setDesc('Paused transfers resume once the queue drains below this. Must be lower than the high watermark.')
+      .addText(text => text
+        .setValue(String(this.plugin.settings.sendLowWatermark / 1024))
+        .onChange(async (value) => {
+          const kb = parseInt(value, 10);
+          if (!kb || kb >= this.plugin.settings.sendHighWatermark / 1024) return;
+          this.plugin.settings.sendLowWatermark = kb * 1024;
+          await this.plugin.saveSettings();
+        }));
+
+    new obsidian.Setting(containerEl)
+      .setName('Maximum upload size (MB)')
+      .setDesc('Largest file a connected browser may upload into the vault.')
+      .addText(text => text
+        .setValue(String(this.plugin.settings.uploadMaxBytes / (1024 * 1024)))
+        .onChange(async (value) => {
+          const mb = parseInt(value, 10);
+          if (!mb || mb < 1) return;
+          this.plugin.settings.uploadMaxBytes = mb * 1024 * 1024;
+          await this.plugin.saveSettings();
+        }));
+
+    new obsidian.Setting(containerEl)
+      .setName('Allowed upload extensions')
+      .setDesc('Comma-separated list of file extensions browsers may upload (e.g. png,jpg,pdf).')
+      .addTextArea(text => text
+        .setValue(this.plugin.settings.uploadAllowedExtensions)
+        .onChange(async (value) => {
+          this.plugin.settings.uploadAllowedExtensions = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new obsidian.Setting(containerEl)
+      .setName('API base URL')
+      .setDesc(`Server used for registration, heartbeats, TURN credentials and browser login. Leave empty for ${API_BASE_URL}. Takes effect the next time the relay connects.`)
+      .addText(text => text
+        .setPlaceholder(API_BASE_URL)
+        .setValue(this.plugin.settings.apiBaseUrl)
+        .onChange(async (value) => {
+          this.plugin.settings.apiBaseUrl = value.trim();
+          // Credentials from the previous server's plugin-init must not be reused
+          SUPABASE_URL = null;
+          SUPABASE_KEY = null;
+          await this.plugin.saveSettings();
+        }));
+
+    new obsidian.Setting(containerEl)
+      .setName('Endpoint overrides')
+      .setDesc(`One "route = URL or path" per line. Paths are joined to the base URL. Routes: ${Object.keys(API_ROUTES).join(', ')}.`)
+      .addTextArea(text => text
+        .setPlaceholder('heartbeat = http://localhost:3000/mock/heartbeat')
+        .setValue(Object.entries(this.plugin.settings.apiRouteOverrides || {}).map(([route, url]) => `${route} = ${url}`).join('\n'))
+        .onChange(async (value) => {
+          const overrides = {};
+          value.split('\n').forEach((line) => {
+            const [route, ...rest] = line.split('=');
+            const url = rest.join('=').trim();
+            if (route && url && API_ROUTES[route.trim()]) overrides[route.trim()] = url;
+          });
+          this.plugin.settings.apiRouteOverrides = overrides;
+          SUPABASE_URL = null;
+          SUPABASE_KEY = null;
+          await this.plugin.saveSettings();
+        }));
+
+    new obsidian.Setting(containerEl)
+      .setName('Signaling backend')
+      .setDesc('How browsers reach this vault to start a connection. Self-hosted servers speak the JSON protocol documented in the source. Takes effect the next time the relay connects.')
+      .addDropdown(dropdown => dropdown
+        .addOptions({ supabase: 'Note Relay cloud', websocket: 'Self-hosted WebSocket' })
+        .setValue(this.plugin.settings.signalingTransport)
+        .onChange(async (value) => {
+          this.plugin.settings.signalingTransport = value;
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+
+    if (this.plugin.settings.signalingTransport === 'websocket') {
+      new obsidian.Setting(containerEl)
+        .setName('Signaling server URL')
+        .setDesc('Guest logins need the Note Relay cloud and are refused while self-hosted signaling is in use.')
+        .addText(text => text
+          .setPlaceholder('wss://signal.example.com')
+          .setValue(this.plugin.settings.signalingUrl)
+          .onChange(async (value) => {
+            this.plugin.settings.signalingUrl = value.trim();
+            await this.plugin.saveSettings();
+          }));
     }
+
+    const ownerKey = this.plugin.settings.ownerTokenKey;
+    new obsidian.Setting(containerEl)
+      .setName('Owner verification key')
+      .setDesc(ownerKey
+        ? `Pinned (${createHash('sha256').update(JSON.stringify(ownerKey)).digest('hex').slice(0, 16)}). Your own browser sessions must present a token signed with this key. Reset only if the server's key was legitimately rotated; the next registration pins the new key.`
+        : 'Not pinned yet. It is pinned automatically the next time the relay connects; until then owner logins are refused.')
+      .addButton(btn => btn
+        .setButtonText('Reset')
+        .setWarning()
+        .setDisabled(!ownerKey)
+        .onClick(async () => {
+          this.plugin.settings.ownerTokenKey = null;
+          await this.plugin.saveSettings();
+          this.plugin.auditLog(this.plugin.settings.userEmail || 'owner', 'OWNER_KEY', null, 'ok', 'reset');
+          this.display();
+        }));
+  }
+
+  displayAuditLog(containerEl) {
+    const filter = { text: '', result: 'all' };
+    let entries = [];
+    let matching = [];
+
+    const controls = new obsidian.Setting(containerEl)
+      .setName('Filter')
+      .setDesc('Match user, command or path')
+      .addText(text => text
+        .setPlaceholder('e.g. guest@example.com')
+        .onChange((value) => {
+          filter.text = value.toLowerCase().trim();
+          render();
+        }))
+      .addDropdown(dropdown => dropdown
+        .addOptions({ all: 'All results', ok: 'OK', error: 'Errors', denied: 'Denied', conflict: 'Conflicts' })
+        .setValue(filter.result)
+        .onChange((value) => {
+          filter.result = value;
+          render();
+        }))
+      .addButton(btn => btn
+        .setButtonText('Export')
+        .onClick(() => {
+          // Save the filtered entries as JSONL through the system save dialog
+          const blob = new Blob([matching.map((e) => JSON.stringify(e)).join('\n') + '\n'], { type: 'application/x-ndjson' });
+          const link = document.createElement('a');
+          link.href = URL.createObjectURL(blob);
+          link.download = `note-relay-audit-${new Date().toISOString().slice(0, 10)}.jsonl`;
+          link.click();
+          URL.revokeObjectURL(link.href);
+        }));
+    controls.settingEl.style.flexWrap = 'wrap';
+
+    const listEl = containerEl.createDiv();
+    listEl.style.cssText = 'max-height: 300px; overflow-y: auto; font-family: var(--font-monospace); font-size: 0.8em; border: 1px solid var(--background-modifier-border); border-radius: 4px; padding: 8px;';
+
+    const render = () => {
+      matching = entries.filter((e) => {
+        if (filter.result !== 'all' && e.result !== filter.result) return false;
+        if (!filter.text) return true;
+        return [e.user, e.action, e.path].some((v) => v && v.toLowerCase().includes(filter.text));
+      });
+
+      listEl.empty();
+      if (!matching.length) {
+        listEl.createDiv({ text: entries.length ? 'No matching entries.' : 'No remote access recorded yet.', cls: 'setting-item-description' });
+        return;
+      }
+
+      // Newest first, capped so the settings pane stays responsive
+      matching.slice(-500).reverse().forEach((e) => {
+        const row = listEl.createDiv();
+        row.style.cssText = 'padding: 2px 0; border-bottom: 1px solid var(--background-modifier-border);';
+        row.setText(`${e.ts.replace('T', ' ').slice(0, 19)}  ${e.user}  ${e.action}${e.path ? ' ' + e.path : ''}  → ${e.result}${e.detail ? ' (' + e.detail + ')' : ''}`);
+        if (e.result !== 'ok') row.style.color = 'var(--text-error)';
+      });
+    };
+
+    listEl.createDiv({ text: 'Loading…', cls: 'setting-item-description' });
+    this.plugin.readAuditLog()
+      .then((loaded) => {
+        entries = loaded;
+        render();
+      })
+      .catch((err) => {
+        console.error('Note Relay: Could not read audit log:', err);
+        new obsidian.Notice(`Note Relay: Could not read the audit log (${err.message})`);
+      });
   }
 }
 
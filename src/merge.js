@@ -0,0 +1,149 @@
+// Line diff and three-way merge for conflicting saves (no Obsidian APIs)
+
+// Myers needs time ~ lines x edit distance and memory ~ edit distance squared; conflicts run
+// on Obsidian's UI thread, so larger or more divergent texts are not merged
+const MERGE_MAX_LINES = 10000; // Per side, after dropping the common head and tail
+const MERGE_MAX_EDIT_DISTANCE = 1000; // Lines inserted + deleted
+
+/**
+ * Myers line diff
+ * Returns changed regions as { aStart, aEnd, bStart, bEnd } (end-exclusive),
+ * or null if the texts exceed MERGE_MAX_LINES / MERGE_MAX_EDIT_DISTANCE
+ */
+function diffLines(a, b) {
+  // The common head and tail hold no changes; only the middle is diffed
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const n = a.length - head - tail;
+  const m = b.length - head - tail;
+  if (n > MERGE_MAX_LINES || m > MERGE_MAX_LINES) return null;
+
+  const max = Math.min(n + m, MERGE_MAX_EDIT_DISTANCE);
+  const off = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+  let reached = false;
+
+  // Forward pass: record the furthest-reaching paths for each edit distance
+  // (only diagonals -d-1..d+1 can be read back for step d, so only those are kept)
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(off - d - 1, off + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1])) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[head + x] === b[head + y]) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) {
+        reached = true;
+        break outer;
+      }
+    }
+  }
+  if (!reached) return null;
+
+  // Backtrack to collect matching line pairs
+  const matches = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const at = (k) => vd[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--; y--;
+      matches.push([head + x, head + y]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  matches.reverse();
+
+  // Gaps between matches are the changed regions
+  const hunks = [];
+  let ai = head;
+  let bi = head;
+  [...matches, [head + n, head + m]].forEach(([ma, mb]) => {
+    if (ma > ai || mb > bi) hunks.push({ aStart: ai, aEnd: ma, bStart: bi, bEnd: mb });
+    ai = ma + 1;
+    bi = mb + 1;
+  });
+  return hunks;
+}
+
+/**
+ * Line-based three-way merge of two edits made against a common base
+ * Blocks are { type: 'ok', lines } or { type: 'conflict', base, current, incoming }
+ * Returns null if either side is too large or too different from the base to diff
+ */
+function mergeThreeWay(baseText, currentText, incomingText) {
+  const base = baseText.split('\n');
+  const sides = { current: currentText.split('\n'), incoming: incomingText.split('\n') };
+  const currentHunks = diffLines(base, sides.current);
+  const incomingHunks = diffLines(base, sides.incoming);
+  if (!currentHunks || !incomingHunks) return null;
+
+  const hunks = [
+    ...currentHunks.map((h) => ({ ...h, side: 'current' })),
+    ...incomingHunks.map((h) => ({ ...h, side: 'incoming' }))
+  ].sort((a, b) => a.aStart - b.aStart || a.aEnd - b.aEnd);
+
+  const blocks = [];
+  const pushOk = (lines) => {
+    if (!lines.length) return;
+    const last = blocks[blocks.length - 1];
+    if (last && last.type === 'ok') last.lines.push(...lines);
+    else blocks.push({ type: 'ok', lines: [...lines] });
+  };
+
+  // Lines a side holds for base region [start, end), given that side's hunks in it
+  const sideLines = (side, group, start, end) => {
+    const own = group.filter((h) => h.side === side);
+    if (!own.length) return base.slice(start, end);
+    const first = own[0];
+    const last = own[own.length - 1];
+    return sides[side].slice(first.bStart - (first.aStart - start), last.bEnd + (end - last.aEnd));
+  };
+
+  let baseIdx = 0;
+  let i = 0;
+  while (i < hunks.length) {
+    const start = hunks[i].aStart;
+    let end = hunks[i].aEnd;
+    let j = i + 1;
+    while (j < hunks.length && hunks[j].aStart <= end) {
+      end = Math.max(end, hunks[j].aEnd);
+      j++;
+    }
+    const group = hunks.slice(i, j);
+
+    pushOk(base.slice(baseIdx, start));
+    const current = sideLines('current', group, start, end);
+    const incoming = sideLines('incoming', group, start, end);
+
+    if (group.every((h) => h.side === group[0].side) || current.join('\n') === incoming.join('\n')) {
+      pushOk(group[0].side === 'current' ? current : incoming);
+    } else {
+      blocks.push({ type: 'conflict', base: base.slice(start, end), current, incoming });
+    }
+
+    baseIdx = end;
+    i = j;
+  }
+  pushOk(base.slice(baseIdx));
+
+  const clean = blocks.every((b) => b.type === 'ok');
+  return {
+    clean,
+    merged: clean ? blocks.map((b) => b.lines.join('\n')).join('\n') : null,
+    blocks
+  };
+}
+
+module.exports = { diffLines, mergeThreeWay };
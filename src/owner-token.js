@@ -0,0 +1,34 @@
+// Owner token signature checks (no Obsidian APIs)
+
+const { Buffer } = require('buffer');
+const { createPublicKey, verify: verifySignature } = require('crypto');
+
+/**
+ * Verify a compact ES256 JWT against a public JWK
+ * Returns the claims, or throws an Error whose message is the denial reason
+ */
+function verifyES256Jwt(token, jwk) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) throw new Error('MALFORMED_TOKEN');
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new Error('MALFORMED_TOKEN');
+  }
+  if (header.alg !== 'ES256') throw new Error('UNSUPPORTED_ALGORITHM');
+
+  const valid = verifySignature(
+    'sha256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!valid) throw new Error('INVALID_SIGNATURE');
+  return claims;
+}
+
+module.exports = { verifyES256Jwt };
@@ -0,0 +1,72 @@
+// Offset edits and unified diffs for PATCH_FILE (no Obsidian APIs)
+
+/**
+ * Apply offset-based edits ({ offset, length, insert }) that all refer to the original text
+ * Edits must not overlap; they are applied back-to-front so offsets stay valid
+ */
+function applyTextEdits(text, edits) {
+  // Inserts at the same offset keep their request order (the later one is applied first)
+  const sorted = edits.map((e, index) => ({
+    offset: Number(e.offset),
+    length: Number(e.length) || 0,
+    insert: typeof e.insert === 'string' ? e.insert : '',
+    index
+  })).sort((a, b) => b.offset - a.offset || b.index - a.index);
+
+  let limit = text.length;
+  let result = text;
+  sorted.forEach((e) => {
+    if (!Number.isInteger(e.offset) || !Number.isInteger(e.length) || e.offset < 0 || e.length < 0 || e.offset + e.length > limit) {
+      throw new Error(`Edit out of range at offset ${e.offset}`);
+    }
+    result = result.slice(0, e.offset) + e.insert + result.slice(e.offset + e.length);
+    limit = e.offset;
+  });
+  return result;
+}
+
+/**
+ * Apply a unified diff (`@@ -a,b +c,d @@` hunks) to text
+ * Context and removed lines are verified; any mismatch rejects the whole patch
+ */
+function applyUnifiedDiff(text, diff) {
+  const lines = text.split('\n');
+  const output = [];
+  let cursor = 0; // Next unconsumed line of the original
+  const diffLinesIn = diff.split('\n');
+
+  for (let i = 0; i < diffLinesIn.length; i++) {
+    const header = diffLinesIn[i].match(/^@@ -(\d+)(?:,(\d+))? \+\d+(?:,\d+)? @@/);
+    if (!header) continue;
+
+    const oldCount = header[2] === undefined ? 1 : Number(header[2]);
+    // An empty old range (`-a,0`) inserts after line a
+    const start = oldCount === 0 ? Number(header[1]) : Number(header[1]) - 1;
+    if (start < cursor || start > lines.length) {
+      throw new Error(`Hunk out of order at line ${header[1]}`);
+    }
+    output.push(...lines.slice(cursor, start));
+    cursor = start;
+
+    while (i + 1 < diffLinesIn.length && !diffLinesIn[i + 1].startsWith('@@')) {
+      const line = diffLinesIn[++i];
+      const op = line[0];
+      const body = line.slice(1);
+      if (op === '+') {
+        output.push(body);
+      } else if (op === ' ' || op === '-') {
+        if (lines[cursor] !== body) {
+          throw new Error(`Context mismatch at line ${cursor + 1}`);
+        }
+        if (op === ' ') output.push(body);
+        cursor++;
+      }
+      // Other lines ("\ No newline at end of file", blank trailers) are ignored
+    }
+  }
+
+  output.push(...lines.slice(cursor));
+  return output.join('\n');
+}
+
+module.exports = { applyTextEdits, applyUnifiedDiff };
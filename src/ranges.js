@@ -0,0 +1,17 @@
+// Byte ranges for GET_FILE_RANGE (no Obsidian APIs)
+
+const RANGE_MAX_BYTES = 4 * 1024 * 1024; // Largest slice returned by one GET_FILE_RANGE
+
+/**
+ * Clamp a requested slice to the file and to RANGE_MAX_BYTES
+ * A missing offset means 0 and a missing length means "as much as allowed";
+ * returns null if the offset lies outside the file
+ */
+function resolveByteRange(offset, length, totalSize) {
+  const start = Math.floor(Number(offset) || 0);
+  if (start < 0 || start > totalSize) return null;
+  const requested = Math.floor(Number(length) || RANGE_MAX_BYTES);
+  return { offset: start, length: Math.max(0, Math.min(requested, RANGE_MAX_BYTES, totalSize - start)) };
+}
+
+module.exports = { RANGE_MAX_BYTES, resolveByteRange };
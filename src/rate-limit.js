@@ -0,0 +1,28 @@
+// Per-peer rate limiting (no Obsidian APIs)
+
+/**
+ * Token bucket rate limiter
+ * take() returns 0 if a token was available, else the milliseconds until one will be
+ */
+class TokenBucket {
+  constructor(capacity, refillPerSec) {
+    this.capacity = capacity;
+    this.refillPerSec = refillPerSec;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSec);
+    this.updatedAt = now;
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - this.tokens) / this.refillPerSec) * 1000);
+  }
+}
+
+module.exports = { TokenBucket };
@@ -0,0 +1,57 @@
+// Markdown filtering for peers that may not see every note (no Obsidian APIs)
+
+const QUERY_BLOCK_LANGUAGES = ['dataview', 'dataviewjs', 'query', 'tasks']; // Code blocks whose output is drawn from other notes
+const HIDDEN_QUERY_NOTICE = '> [!note] Live query hidden\n> Its results may include notes that are not shared with you.';
+const HIDDEN_EMBED_TEXT = '*Embedded file unavailable*';
+const HIDDEN_INLINE_QUERY_TEXT = '*Inline query hidden*';
+
+/**
+ * Filter markdown before it is rendered for a peer
+ * - Embeds whose target isHidden(linktext) are removed (transclusion would copy their content)
+ * - If `restricted`, ```dataview blocks are replaced by runDataviewQuery(source) (filtered
+ *   results as markdown); other query blocks and inline queries are replaced, since their
+ *   output cannot be filtered
+ * Fenced code that is not a query is left untouched.
+ */
+async function redactMarkdown(markdown, { isHidden, restricted, runDataviewQuery }) {
+  const fence = /^(```+|~~~+)[ \t]*([^\n]*)\n([\s\S]*?)^\1[ \t]*$/gm;
+  const parts = [];
+  let last = 0;
+  let match;
+
+  while ((match = fence.exec(markdown)) !== null) {
+    parts.push(redactMarkdownText(markdown.slice(last, match.index), isHidden, restricted));
+
+    const language = match[2].trim().split(/\s+/)[0].toLowerCase();
+    if (restricted && QUERY_BLOCK_LANGUAGES.includes(language)) {
+      parts.push(language === 'dataview' ? await runDataviewQuery(match[3]) : HIDDEN_QUERY_NOTICE);
+    } else {
+      parts.push(match[0]);
+    }
+    last = match.index + match[0].length;
+  }
+  parts.push(redactMarkdownText(markdown.slice(last), isHidden, restricted));
+  return parts.join('');
+}
+
+// Markdown outside code fences: hidden embeds and (if restricted) Dataview inline queries
+function redactMarkdownText(text, isHidden, restricted) {
+  let result = text
+    .replace(/!\[\[([^\]|#^]+)[^\]]*\]\]/g, (embed, target) => (isHidden(target) ? HIDDEN_EMBED_TEXT : embed))
+    .replace(/!\[([^\]]*)\]\(<?([^)>\s]+)>?\)/g, (embed, alt, target) => {
+      if (/^[a-z]+:\/\//i.test(target)) return embed;
+      let decoded = target;
+      try {
+        decoded = decodeURIComponent(target);
+      } catch (e) {
+        // Keep the raw target
+      }
+      return isHidden(decoded) ? HIDDEN_EMBED_TEXT : embed;
+    });
+
+  // Inline queries (`= expr`, `$= js`) can read any note
+  if (restricted) result = result.replace(/`\$?=[^`\n]*`/g, HIDDEN_INLINE_QUERY_TEXT);
+  return result;
+}
+
+module.exports = { HIDDEN_QUERY_NOTICE, redactMarkdown, redactMarkdownText };
@@ -0,0 +1,75 @@
+// Search helpers: tokenizing, query parsing, match ranges and result snippets (no Obsidian APIs)
+
+const SEARCH_SNIPPET_CONTEXT = 60; // Characters of context either side of a match
+
+// Split text into lowercase word tokens (letters, digits, underscore)
+function tokenizeText(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Parse a search query into index lookups and highlight terms
+ * Supports: plain words, prefix words (`proj*`) and quoted phrases (`"status report"`)
+ */
+function parseSearchQuery(query) {
+  const words = [];
+  const prefixes = [];
+  const phrases = [];
+
+  const rest = query.replace(/"([^"]*)"/g, (_, phrase) => {
+    const tokens = tokenizeText(phrase);
+    if (tokens.length) phrases.push(tokens);
+    return ' ';
+  });
+
+  rest.split(/\s+/).filter(Boolean).forEach((part) => {
+    const isPrefix = part.endsWith('*');
+    tokenizeText(part).forEach((token, i, all) => {
+      if (isPrefix && i === all.length - 1) prefixes.push(token);
+      else words.push(token);
+    });
+  });
+
+  // Highlight/verification strings matched against raw text
+  const terms = [...new Set([...words, ...prefixes, ...phrases.map((p) => p.join(' '))])];
+  return { words, prefixes, phrases, terms };
+}
+
+// Return [start, end] ranges of every term occurrence in text (case-insensitive, merged)
+function findTermRanges(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  terms.forEach((term) => {
+    let idx = lower.indexOf(term);
+    while (idx !== -1) {
+      ranges.push([idx, idx + term.length]);
+      idx = lower.indexOf(term, idx + term.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  ranges.forEach((r) => {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) {
+      last[1] = Math.max(last[1], r[1]);
+    } else {
+      merged.push([r[0], r[1]]);
+    }
+  });
+  return merged;
+}
+
+// Cut a window around the first match of a line; highlights are relative to the snippet
+function buildSnippet(line, ranges) {
+  const start = Math.max(0, ranges[0][0] - SEARCH_SNIPPET_CONTEXT);
+  const end = Math.min(line.length, ranges[0][1] + SEARCH_SNIPPET_CONTEXT);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < line.length ? '…' : '';
+  const highlights = ranges
+    .filter((r) => r[0] >= start && r[1] <= end)
+    .map((r) => [r[0] - start + prefix.length, r[1] - start + prefix.length]);
+  return { snippet: prefix + line.slice(start, end) + suffix, highlights };
+}
+
+module.exports = { tokenizeText, parseSearchQuery, findTermRanges, buildSnippet };
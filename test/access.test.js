@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { globToRegExp, AccessPolicy } = require('../src/access');
+
+test('globToRegExp keeps * and ? within one path segment', () => {
+  assert.ok(globToRegExp('Journal/*.md').test('Journal/2024-01-01.md'));
+  assert.ok(!globToRegExp('Journal/*.md').test('Journal/old/2023.md'));
+  assert.ok(globToRegExp('note?.md').test('note1.md'));
+  assert.ok(!globToRegExp('note?.md').test('note/.md'));
+});
+
+test('globToRegExp ** spans folders and dir/** matches the folder itself', () => {
+  assert.ok(globToRegExp('**/secret.md').test('secret.md'));
+  assert.ok(globToRegExp('**/secret.md').test('a/b/secret.md'));
+  assert.ok(globToRegExp('Private/**').test('Private'));
+  assert.ok(globToRegExp('Private/**').test('Private/x/y.md'));
+  assert.ok(!globToRegExp('Private/**').test('PrivateNotes/y.md'));
+});
+
+test('globToRegExp ignores surrounding whitespace and leading slashes', () => {
+  assert.ok(globToRegExp('  /Shared/*.md ').test('Shared/a.md'));
+});
+
+test('globToRegExp escapes regex metacharacters', () => {
+  assert.ok(globToRegExp('a+b (1).md').test('a+b (1).md'));
+  assert.ok(!globToRegExp('a.md').test('abmd'));
+});
+
+test('AccessPolicy: deny wins, empty allow means everything, write implies read', () => {
+  const policy = new AccessPolicy({ readAllow: ['Shared/**'], readDeny: ['Shared/Secret/**'], writeAllow: ['Shared/Drafts/**'] }, false);
+  assert.ok(policy.canRead('Shared/a.md'));
+  assert.ok(!policy.canRead('Shared/Secret/a.md'));
+  assert.ok(!policy.canRead('Other/a.md'));
+  assert.ok(policy.canWrite('Shared/Drafts/a.md'));
+  assert.ok(!policy.canWrite('Shared/a.md'));
+
+  const open = new AccessPolicy({ writeDeny: ['Locked/**'] }, false);
+  assert.ok(open.canRead('anything.md'));
+  assert.ok(open.canWrite('anything.md'));
+  assert.ok(!open.canWrite('Locked/a.md'));
+});
+
+test('AccessPolicy: a write rule cannot grant access to an unreadable path', () => {
+  const policy = new AccessPolicy({ readDeny: ['Secret/**'], writeAllow: ['**'] }, false);
+  assert.ok(!policy.canWrite('Secret/a.md'));
+});
+
+test('AccessPolicy: read-only sessions cannot write anywhere', () => {
+  const policy = new AccessPolicy({}, true);
+  assert.ok(policy.canRead('a.md'));
+  assert.ok(!policy.canWrite('a.md'));
+});
+
+test('AccessPolicy skips blank globs', () => {
+  const policy = new AccessPolicy({ readAllow: ['', '  '] }, false);
+  assert.ok(policy.canRead('a.md'));
+});
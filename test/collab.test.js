@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChangeSet, Text } = require('@codemirror/state');
+const { CollabSession } = require('../src/collab');
+
+const insert = (from, text, length) => ChangeSet.of({ from, insert: text }, length).toJSON();
+
+test('CollabSession accepts pushes at the current version only', () => {
+  const session = new CollabSession('a.md', 'hello');
+  assert.equal(session.push(0, [{ clientID: 'c1', changes: insert(5, ' world', 5) }]), true);
+  assert.equal(session.version, 1);
+  assert.equal(session.doc.toString(), 'hello world');
+
+  // A peer that has not pulled the first update is behind
+  assert.equal(session.push(0, [{ clientID: 'c2', changes: insert(0, '>', 5) }]), false);
+  assert.equal(session.doc.toString(), 'hello world');
+});
+
+test('CollabSession pull returns serialized updates after a version', () => {
+  const session = new CollabSession('a.md', 'x');
+  session.push(0, [{ clientID: 'c1', changes: insert(1, 'y', 1) }, { clientID: 'c1', changes: insert(2, 'z', 2) }]);
+  const updates = session.pull(1);
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].clientID, 'c1');
+  assert.equal(ChangeSet.fromJSON(updates[0].changes).apply(Text.of(['xy'])).toString(), 'xyz');
+});
+
+test('CollabSession leaves the document untouched when any pushed update is malformed', () => {
+  const session = new CollabSession('a.md', 'abc');
+  assert.throws(() => session.push(0, [{ clientID: 'c1', changes: insert(3, 'd', 3) }, { clientID: 'c1', changes: insert(0, 'x', 99) }]));
+  assert.equal(session.version, 0);
+  assert.equal(session.doc.toString(), 'abc');
+});
+
+test('CollabSession replaceContent records the minimal host change', () => {
+  const session = new CollabSession('a.md', 'one two three');
+  const update = session.replaceContent('one 2 three');
+  assert.equal(update.clientID, 'host');
+  assert.deepEqual(update.changes, [4, [3, '2'], 6]);
+  assert.equal(session.doc.toString(), 'one 2 three');
+  assert.equal(session.replaceContent('one 2 three'), null);
+  assert.equal(session.version, 1);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCipheriv, hkdfSync, randomBytes } = require('crypto');
+const { deriveE2EKey, sdpFingerprints, e2eMac, verifyE2EMac, createE2ECipher } = require('../src/e2e');
+
+// The browser side of createE2ECipher: same derivation with send/receive labels swapped
+function makeClientCipher(key, offerFingerprints, answerFingerprints) {
+  const salt = `${offerFingerprints}|${answerFingerprints}`;
+  const sendKey = Buffer.from(hkdfSync('sha256', key, salt, 'noterelay-e2e client->host', 32));
+  let seq = 0;
+  return {
+    seal(text) {
+      const iv = randomBytes(12);
+      const cipher = createCipheriv('aes-256-gcm', sendKey, iv);
+      const aad = Buffer.alloc(8);
+      aad.writeBigUInt64BE(BigInt(seq++));
+      cipher.setAAD(aad);
+      return Buffer.concat([Buffer.from([0x01]), iv, cipher.update(text, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    }
+  };
+}
+
+test('deriveE2EKey derives the same 32-byte key for the same passphrase and vault', async () => {
+  const key = await deriveE2EKey('correct horse', 'vault-1');
+  assert.equal(key.length, 32);
+  assert.deepEqual(await deriveE2EKey('correct horse', 'vault-1'), key);
+  assert.notDeepEqual(await deriveE2EKey('correct horse', 'vault-2'), key);
+});
+
+test('sdpFingerprints normalizes, dedupes and sorts fingerprint lines', () => {
+  const sdp = 'v=0\r\na=fingerprint:sha-256 BB:01\r\na=candidate:1\r\na=fingerprint:sha-256 AA:02\na=fingerprint:sha-256 bb:01\r\n';
+  assert.equal(sdpFingerprints(sdp), 'sha-256 aa:02,sha-256 bb:01');
+  assert.equal(sdpFingerprints('v=0\r\n'), '');
+  assert.equal(sdpFingerprints(undefined), '');
+});
+
+test('verifyE2EMac accepts only a MAC over the same key, label and parts', () => {
+  const key = randomBytes(32);
+  const mac = e2eMac(key, 'answer', 'offer-fp', 'answer-fp');
+  assert.ok(verifyE2EMac(key, mac, 'answer', 'offer-fp', 'answer-fp'));
+  assert.ok(!verifyE2EMac(key, mac, 'offer', 'offer-fp', 'answer-fp'));
+  assert.ok(!verifyE2EMac(key, mac, 'answer', 'offer-fp', 'other-fp'));
+  assert.ok(!verifyE2EMac(randomBytes(32), mac, 'answer', 'offer-fp', 'answer-fp'));
+  assert.ok(!verifyE2EMac(key, mac.slice(2), 'answer', 'offer-fp', 'answer-fp'));
+  assert.ok(!verifyE2EMac(key, undefined, 'answer', 'offer-fp', 'answer-fp'));
+});
+
+test('createE2ECipher keeps the two directions apart', () => {
+  const key = randomBytes(32);
+  const host = createE2ECipher(key, 'offer', 'answer');
+  const otherHost = createE2ECipher(key, 'offer', 'answer');
+  // Host-to-client messages cannot be fed back to the host
+  assert.equal(otherHost.open(host.seal('hello')), null);
+});
+
+test('createE2ECipher opens what the other direction sealed, in order only', () => {
+  const key = randomBytes(32);
+  const host = createE2ECipher(key, 'offer', 'answer');
+  const client = makeClientCipher(key, 'offer', 'answer');
+
+  const first = client.seal('first');
+  const second = client.seal('second');
+  assert.equal(host.open(first).toString(), 'first');
+  assert.equal(host.open(first), null, 'replayed message must be rejected');
+  assert.equal(host.open(second).toString(), 'second');
+});
+
+test('createE2ECipher rejects tampered messages and other connections', () => {
+  const key = randomBytes(32);
+  const client = makeClientCipher(key, 'offer', 'answer');
+  const sealed = client.seal('payload');
+
+  const tampered = Buffer.from(sealed);
+  tampered[tampered.length - 20] ^= 1;
+  assert.equal(createE2ECipher(key, 'offer', 'answer').open(tampered), null);
+  assert.equal(createE2ECipher(key, 'offer', 'other').open(sealed), null);
+  assert.equal(createE2ECipher(randomBytes(32), 'offer', 'answer').open(sealed), null);
+});
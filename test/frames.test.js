@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FRAME_HEADER_PREFIX, toUint8Array, isBinaryPayload, encodeBinaryFrame, decodeBinaryFrame } = require('../src/frames');
+
+test('isBinaryPayload accepts buffers and typed arrays only', () => {
+  assert.equal(isBinaryPayload(new ArrayBuffer(2)), true);
+  assert.equal(isBinaryPayload(Buffer.from('x')), true);
+  assert.equal(isBinaryPayload(new Uint16Array(1)), true);
+  assert.equal(isBinaryPayload('text'), false);
+  assert.equal(isBinaryPayload({ byteLength: 1 }), false);
+});
+
+test('toUint8Array views the payload bytes without copying', () => {
+  const backing = new Uint8Array([9, 1, 2, 3, 9]);
+  const view = toUint8Array(backing.subarray(1, 4));
+  assert.deepEqual([...view], [1, 2, 3]);
+  view[0] = 7;
+  assert.equal(backing[1], 7);
+  assert.deepEqual([...toUint8Array(new Uint8Array([5, 6]).buffer)], [5, 6]);
+});
+
+test('encodeBinaryFrame writes the header length, JSON header and payload', () => {
+  const header = { type: 'FILE', path: 'ä.png' };
+  const frame = encodeBinaryFrame(header, new Uint8Array([1, 2, 3]));
+  const headerLength = new DataView(frame.buffer).getUint32(0);
+  const headerBytes = frame.subarray(FRAME_HEADER_PREFIX, FRAME_HEADER_PREFIX + headerLength);
+  assert.deepEqual(JSON.parse(Buffer.from(headerBytes).toString('utf8')), header);
+  assert.deepEqual([...frame.subarray(FRAME_HEADER_PREFIX + headerLength)], [1, 2, 3]);
+});
+
+test('decodeBinaryFrame reverses encodeBinaryFrame, also for frames inside a larger buffer', () => {
+  const frame = encodeBinaryFrame({ type: 'UPLOAD_CHUNK', seq: 3 }, new Uint8Array([4, 5]));
+  const padded = new Uint8Array(frame.length + 2);
+  padded.set(frame, 1);
+  const { header, payload } = decodeBinaryFrame(padded.subarray(1, 1 + frame.length));
+  assert.deepEqual(header, { type: 'UPLOAD_CHUNK', seq: 3 });
+  assert.deepEqual([...payload], [4, 5]);
+});
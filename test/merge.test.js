@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, mergeThreeWay } = require('../src/merge');
+
+test('diffLines reports changed regions between matching lines', () => {
+  assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'B', 'c']), [{ aStart: 1, aEnd: 2, bStart: 1, bEnd: 2 }]);
+  assert.deepEqual(diffLines(['a', 'c'], ['a', 'b', 'c']), [{ aStart: 1, aEnd: 1, bStart: 1, bEnd: 2 }]);
+  assert.deepEqual(diffLines(['a', 'b'], ['a', 'b']), []);
+  assert.deepEqual(diffLines([], ['x']), [{ aStart: 0, aEnd: 0, bStart: 0, bEnd: 1 }]);
+});
+
+test('diffLines gives up on texts that differ too much', () => {
+  const a = Array.from({ length: 2000 }, (_, i) => `a${i}`);
+  const b = Array.from({ length: 2000 }, (_, i) => `b${i}`);
+  assert.equal(diffLines(a, b), null);
+});
+
+test('diffLines handles long texts with small edits', () => {
+  const a = Array.from({ length: 50000 }, (_, i) => `line ${i}`);
+  const b = a.slice();
+  b[25000] = 'edited';
+  assert.deepEqual(diffLines(a, b), [{ aStart: 25000, aEnd: 25001, bStart: 25000, bEnd: 25001 }]);
+});
+
+test('mergeThreeWay combines edits to different lines', () => {
+  const result = mergeThreeWay('a\nb\nc', 'A\nb\nc', 'a\nb\nC');
+  assert.equal(result.clean, true);
+  assert.equal(result.merged, 'A\nb\nC');
+});
+
+test('mergeThreeWay accepts identical edits on both sides', () => {
+  const result = mergeThreeWay('a\nb', 'a\nX', 'a\nX');
+  assert.equal(result.clean, true);
+  assert.equal(result.merged, 'a\nX');
+});
+
+test('mergeThreeWay reports conflicting edits to the same line', () => {
+  const result = mergeThreeWay('a\nb\nc', 'a\nB1\nc', 'a\nB2\nc');
+  assert.equal(result.clean, false);
+  assert.equal(result.merged, null);
+  const conflict = result.blocks.find((b) => b.type === 'conflict');
+  assert.deepEqual(conflict, { type: 'conflict', base: ['b'], current: ['B1'], incoming: ['B2'] });
+});
+
+test('mergeThreeWay returns null when a side has been rewritten wholesale', () => {
+  const base = Array.from({ length: 2000 }, (_, i) => `base ${i}`).join('\n');
+  const rewritten = Array.from({ length: 2000 }, (_, i) => `new ${i}`).join('\n');
+  assert.equal(mergeThreeWay(base, base, rewritten), null);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateKeyPairSync, sign } = require('crypto');
+const { verifyES256Jwt } = require('../src/owner-token');
+
+function b64(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64url');
+}
+
+function makeJwt(claims) {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const signingInput = `${b64({ alg: 'ES256', typ: 'JWT' })}.${b64(claims)}`;
+  const signature = sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return { jwk: publicKey.export({ format: 'jwk' }), token: `${signingInput}.${signature.toString('base64url')}` };
+}
+
+test('verifyES256Jwt accepts a valid token and returns its claims', () => {
+  const { jwk, token } = makeJwt({ sub: 'owner' });
+  assert.deepEqual(verifyES256Jwt(token, jwk), { sub: 'owner' });
+});
+
+test('verifyES256Jwt rejects bad signatures, other algorithms and malformed tokens', () => {
+  const { jwk, token } = makeJwt({ sub: 'owner' });
+  const [header, , signature] = token.split('.');
+  const forged = `${header}.${b64({ sub: 'attacker' })}.${signature}`;
+  assert.throws(() => verifyES256Jwt(forged, jwk), /INVALID_SIGNATURE/);
+
+  const other = makeJwt({ sub: 'owner' });
+  assert.throws(() => verifyES256Jwt(other.token, jwk), /INVALID_SIGNATURE/);
+
+  assert.throws(() => verifyES256Jwt(`${b64({ alg: 'none' })}.${b64({ sub: 'owner' })}.`, jwk), /UNSUPPORTED_ALGORITHM/);
+  assert.throws(() => verifyES256Jwt('not-a-jwt', jwk), /MALFORMED_TOKEN/);
+  assert.throws(() => verifyES256Jwt('a.b.c', jwk), /MALFORMED_TOKEN/);
+  assert.throws(() => verifyES256Jwt(undefined, jwk), /MALFORMED_TOKEN/);
+});
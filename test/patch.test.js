@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyTextEdits, applyUnifiedDiff } = require('../src/patch');
+
+test('applyTextEdits applies edits that all refer to the original text', () => {
+  const edits = [
+    { offset: 0, length: 5, insert: 'Howdy' },
+    { offset: 7, length: 5, insert: 'there' }
+  ];
+  assert.equal(applyTextEdits('Hello, world!', edits), 'Howdy, there!');
+});
+
+test('applyTextEdits keeps the request order of inserts at the same offset', () => {
+  assert.equal(applyTextEdits('xy', [{ offset: 1, insert: 'A' }, { offset: 1, insert: 'B' }]), 'xABy');
+  assert.equal(applyTextEdits('xy', [{ offset: 1, insert: 'A' }, { offset: 1, length: 1, insert: 'B' }]), 'xAB');
+});
+
+test('applyTextEdits rejects overlapping and out-of-range edits', () => {
+  assert.throws(() => applyTextEdits('abcdef', [{ offset: 0, length: 3 }, { offset: 2, length: 2 }]), /out of range/);
+  assert.throws(() => applyTextEdits('abc', [{ offset: 1, length: 1 }, { offset: 1, insert: 'X' }]), /out of range/);
+  assert.throws(() => applyTextEdits('abc', [{ offset: 2, length: 5 }]), /out of range/);
+  assert.throws(() => applyTextEdits('abc', [{ offset: -1, length: 0 }]), /out of range/);
+  assert.throws(() => applyTextEdits('abc', [{ offset: 'x', length: 0 }]), /out of range/);
+});
+
+test('applyUnifiedDiff applies hunks with verified context', () => {
+  const diff = '--- a/n.md\n+++ b/n.md\n@@ -1,3 +1,3 @@\n one\n-two\n+TWO\n three';
+  assert.equal(applyUnifiedDiff('one\ntwo\nthree', diff), 'one\nTWO\nthree');
+});
+
+test('applyUnifiedDiff applies several hunks in order', () => {
+  const diff = '@@ -1 +1 @@\n-a\n+A\n@@ -3 +3 @@\n-c\n+C';
+  assert.equal(applyUnifiedDiff('a\nb\nc', diff), 'A\nb\nC');
+});
+
+test('applyUnifiedDiff inserts after the line of an empty old range', () => {
+  assert.equal(applyUnifiedDiff('one\ntwo', '@@ -1,0 +2 @@\n+inserted'), 'one\ninserted\ntwo');
+});
+
+test('applyUnifiedDiff rejects mismatched context and out-of-order hunks', () => {
+  assert.throws(() => applyUnifiedDiff('one\ntwo', '@@ -1,2 +1,2 @@\n one\n-zwei\n+TWO'), /Context mismatch/);
+  assert.throws(() => applyUnifiedDiff('a\nb\nc', '@@ -3 +3 @@\n-c\n+C\n@@ -1 +1 @@\n-a\n+A'), /out of order/);
+});
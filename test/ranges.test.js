@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RANGE_MAX_BYTES, resolveByteRange } = require('../src/ranges');
+
+test('resolveByteRange defaults to the start of the file and the largest allowed slice', () => {
+  assert.deepEqual(resolveByteRange(undefined, undefined, 100), { offset: 0, length: 100 });
+  assert.deepEqual(resolveByteRange(undefined, undefined, RANGE_MAX_BYTES * 3), { offset: 0, length: RANGE_MAX_BYTES });
+});
+
+test('resolveByteRange clamps the length to the end of the file and the slice cap', () => {
+  assert.deepEqual(resolveByteRange(90, 50, 100), { offset: 90, length: 10 });
+  assert.deepEqual(resolveByteRange(0, RANGE_MAX_BYTES + 1, RANGE_MAX_BYTES * 2), { offset: 0, length: RANGE_MAX_BYTES });
+  assert.deepEqual(resolveByteRange('10.7', '5.2', 100), { offset: 10, length: 5 });
+});
+
+test('resolveByteRange allows an empty read at the end of the file', () => {
+  assert.deepEqual(resolveByteRange(100, 10, 100), { offset: 100, length: 0 });
+  assert.deepEqual(resolveByteRange(0, -5, 100), { offset: 0, length: 0 });
+});
+
+test('resolveByteRange rejects offsets outside the file', () => {
+  assert.equal(resolveByteRange(-1, 10, 100), null);
+  assert.equal(resolveByteRange(101, 10, 100), null);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket } = require('../src/rate-limit');
+
+// Runs fn with Date.now() pinned to a clock the test advances by hand
+function withClock(fn) {
+  const realNow = Date.now;
+  const clock = { now: 1000000 };
+  Date.now = () => clock.now;
+  try {
+    fn(clock);
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+test('TokenBucket allows a burst up to its capacity', () => {
+  withClock(() => {
+    const bucket = new TokenBucket(3, 1);
+    assert.equal(bucket.take(), 0);
+    assert.equal(bucket.take(), 0);
+    assert.equal(bucket.take(), 0);
+    assert.equal(bucket.take(), 1000);
+  });
+});
+
+test('TokenBucket reports the wait until the next token', () => {
+  withClock((clock) => {
+    const bucket = new TokenBucket(1, 2);
+    assert.equal(bucket.take(), 0);
+    clock.now += 200;
+    assert.equal(bucket.take(), 300);
+    clock.now += 300;
+    assert.equal(bucket.take(), 0);
+  });
+});
+
+test('TokenBucket refills no further than its capacity', () => {
+  withClock((clock) => {
+    const bucket = new TokenBucket(2, 10);
+    bucket.take();
+    bucket.take();
+    clock.now += 60 * 1000;
+    assert.equal(bucket.take(), 0);
+    assert.equal(bucket.take(), 0);
+    assert.ok(bucket.take() > 0);
+  });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HIDDEN_QUERY_NOTICE, redactMarkdown, redactMarkdownText } = require('../src/redact');
+
+const isHidden = (linktext) => linktext.startsWith('Private/');
+
+test('redactMarkdownText removes wiki and markdown embeds of hidden files only', () => {
+  const text = 'a ![[Private/secret]] b ![[Public/ok|alias]] c ![[Private/img.png|100]]';
+  assert.equal(redactMarkdownText(text, isHidden, false), 'a *Embedded file unavailable* b ![[Public/ok|alias]] c *Embedded file unavailable*');
+  assert.equal(redactMarkdownText('![x](Private%2Fa.png) ![y](Public/b.png)', isHidden, false), '*Embedded file unavailable* ![y](Public/b.png)');
+});
+
+test('redactMarkdownText keeps remote images and plain links', () => {
+  const text = '![x](https://example.com/Private/a.png) [[Private/secret]]';
+  assert.equal(redactMarkdownText(text, isHidden, true), text);
+});
+
+test('redactMarkdownText hides inline queries for restricted peers only', () => {
+  const text = 'Count: `= length(file.inlinks)` and `$= dv.pages().length` and `code`';
+  assert.equal(redactMarkdownText(text, isHidden, false), text);
+  assert.equal(redactMarkdownText(text, isHidden, true), 'Count: *Inline query hidden* and *Inline query hidden* and `code`');
+});
+
+test('redactMarkdown runs dataview blocks through the filter and hides other query blocks', async () => {
+  const markdown = '# T\n```dataview\nLIST FROM "x"\n```\n```dataviewjs\ndv.list([])\n```\n```js\n![[Private/a]]\n```\n![[Private/a]]\n';
+  const seen = [];
+  const result = await redactMarkdown(markdown, {
+    isHidden,
+    restricted: true,
+    runDataviewQuery: async (source) => {
+      seen.push(source);
+      return '- filtered';
+    }
+  });
+  assert.deepEqual(seen, ['LIST FROM "x"\n']);
+  assert.equal(result, `# T\n- filtered\n${HIDDEN_QUERY_NOTICE}\n\`\`\`js\n![[Private/a]]\n\`\`\`\n*Embedded file unavailable*\n`);
+});
+
+test('redactMarkdown leaves query blocks alone for unrestricted peers', async () => {
+  const markdown = '```dataview\nLIST\n```\n~~~tasks\nnot done\n~~~\n';
+  const result = await redactMarkdown(markdown, {
+    isHidden,
+    restricted: false,
+    runDataviewQuery: () => assert.fail('should not run')
+  });
+  assert.equal(result, markdown);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenizeText, parseSearchQuery, findTermRanges, buildSnippet } = require('../src/search');
+
+test('tokenizeText splits on non-word characters and keeps unicode letters', () => {
+  assert.deepEqual(tokenizeText('Hello, World! snake_case 42 Über-café'), ['hello', 'world', 'snake_case', '42', 'über', 'café']);
+  assert.deepEqual(tokenizeText(' -- '), []);
+});
+
+test('parseSearchQuery separates words, prefixes and quoted phrases', () => {
+  assert.deepEqual(parseSearchQuery('Alpha proj* "Status Report" alpha'), {
+    words: ['alpha', 'alpha'],
+    prefixes: ['proj'],
+    phrases: [['status', 'report']],
+    terms: ['alpha', 'proj', 'status report']
+  });
+});
+
+test('parseSearchQuery only treats the last token of a starred word as a prefix', () => {
+  const parsed = parseSearchQuery('foo-ba*');
+  assert.deepEqual(parsed.words, ['foo']);
+  assert.deepEqual(parsed.prefixes, ['ba']);
+});
+
+test('parseSearchQuery ignores empty phrases', () => {
+  assert.deepEqual(parseSearchQuery('"" "!!"').phrases, []);
+});
+
+test('findTermRanges finds every occurrence case-insensitively', () => {
+  assert.deepEqual(findTermRanges('Cat, cat and CAT', ['cat']), [[0, 3], [5, 8], [13, 16]]);
+  assert.deepEqual(findTermRanges('nothing here', ['cat']), []);
+});
+
+test('findTermRanges merges overlapping and touching ranges', () => {
+  assert.deepEqual(findTermRanges('notebook', ['note', 'book']), [[0, 8]]);
+  assert.deepEqual(findTermRanges('abcd', ['abc', 'bcd']), [[0, 4]]);
+});
+
+test('buildSnippet keeps short lines whole', () => {
+  assert.deepEqual(buildSnippet('a cat sat', [[2, 5]]), { snippet: 'a cat sat', highlights: [[2, 5]] });
+});
+
+test('buildSnippet cuts long lines around the first match and shifts highlights', () => {
+  const line = 'x'.repeat(100) + 'match' + 'y'.repeat(100);
+  const { snippet, highlights } = buildSnippet(line, [[100, 105]]);
+  assert.equal(snippet, '…' + 'x'.repeat(60) + 'match' + 'y'.repeat(60) + '…');
+  assert.deepEqual(highlights, [[61, 66]]);
+  assert.equal(snippet.slice(highlights[0][0], highlights[0][1]), 'match');
+});
+
+test('buildSnippet drops highlights outside the window', () => {
+  const line = 'match' + ' '.repeat(200) + 'match';
+  assert.deepEqual(buildSnippet(line, [[0, 5], [205, 210]]).highlights, [[0, 5]]);
+});